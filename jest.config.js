@@ -12,6 +12,8 @@ module.exports = {
   coverageReporters: ['text', 'lcov', 'html'],
   setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   testTimeout: 10000,
+  // 所有测试文件共用同一个测试数据库，每个测试后清空数据，需要依次运行
+  maxWorkers: 1,
   verbose: true,
   forceExit: true,
   clearMocks: true,
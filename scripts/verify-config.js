@@ -6,6 +6,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const mysql = require('mysql2/promise');
 
 const colors = {
@@ -31,7 +32,7 @@ function checkRequiredEnvVars() {
     'DB_NAME',
     'DB_USER',
     'DB_PASSWORD',
-    'JWT_SECRET'
+    'TOTP_ENCRYPTION_KEY'
   ];
 
   const missing = [];
@@ -97,14 +98,33 @@ async function testDatabaseConnection() {
   }
 }
 
-function checkJWTSecret() {
-  log('blue', '🔐 检查JWT密钥强度...');
+function checkJWTKeys() {
+  log('blue', '🔐 检查JWT签名密钥配置...');
   
+  const projectRoot = path.resolve(__dirname, '..');
+  const keysDir = process.env.JWT_KEYS_DIR;
+  
+  // 生产环境的密钥目录不能位于部署目录中，否则每次部署都会覆盖密钥
+  if (process.env.NODE_ENV === 'production') {
+    if (!keysDir) {
+      log('red', '❌ JWT_KEYS_DIR 未设置，生产环境必须指定部署目录之外的持久化目录');
+      return false;
+    }
+    
+    const relative = path.relative(projectRoot, path.resolve(keysDir));
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      log('red', `❌ JWT_KEYS_DIR (${keysDir}) 位于部署目录中，部署时会被覆盖`);
+      return false;
+    }
+  }
+  
+  log('green', `✅ JWT签名密钥目录: ${keysDir || path.join(projectRoot, 'keys/jwt')}（算法 ${process.env.JWT_ALGORITHM || 'RS256'}）`);
+  
+  // JWT_SECRET 只用于校验切换到非对称签名之前签发的旧令牌
   const secret = process.env.JWT_SECRET;
   
-  if (!secret) {
-    log('red', '❌ JWT_SECRET 未设置');
-    return false;
+  if (!secret || process.env.JWT_ACCEPT_LEGACY_HS256 === 'false') {
+    return true;
   }
   
   if (secret.length < 32) {
@@ -116,7 +136,29 @@ function checkJWTSecret() {
     return false;
   }
   
-  log('green', '✅ JWT密钥检查通过');
+  log('green', '✅ 旧令牌密钥 JWT_SECRET 检查通过');
+  return true;
+}
+
+function checkMailConfig() {
+  log('blue', '📧 检查邮件配置...');
+  
+  if (process.env.NODE_ENV !== 'production') {
+    log('green', `✅ 邮件发送方式: ${process.env.MAIL_TRANSPORT || 'file'}（非生产环境）`);
+    return true;
+  }
+  
+  // 与服务启动时的检查一致
+  const { assertMailConfigured } = require('../src/utils/mailer');
+  
+  try {
+    assertMailConfigured();
+  } catch (error) {
+    log('red', `❌ ${error.message}`);
+    return false;
+  }
+  
+  log('green', `✅ 邮件通过 SMTP 发送: ${process.env.SMTP_HOST}`);
   return true;
 }
 
@@ -154,7 +196,8 @@ async function main() {
   const checks = [
     checkNodeVersion,
     checkRequiredEnvVars,
-    checkJWTSecret,
+    checkJWTKeys,
+    checkMailConfig,
     checkPortAvailability,
     testDatabaseConnection
   ];
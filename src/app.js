@@ -16,8 +16,23 @@ const userRoutes = require('./routes/users');
 const achievementRoutes = require('./routes/achievements');
 const gameRoutes = require('./routes/games');
 const multiplayerRoutes = require('./routes/multiplayer');
+const adminRoutes = require('./routes/admin');
+const clientRoutes = require('./routes/client');
+const friendRoutes = require('./routes/friends');
+const shopRoutes = require('./routes/shop');
 const { errorHandler } = require('./middleware/errorHandler');
+const { checkClientVersion } = require('./middleware/clientVersion');
 const { logger } = require('./utils/logger');
+const { startMaintenanceJobs } = require('./utils/maintenance');
+const { getJwks } = require('./utils/jwtKeys');
+const { assertEncryptionKeyConfigured } = require('./utils/twoFactor');
+const { assertMailConfigured } = require('./utils/mailer');
+const { getCommonPasswords } = require('./utils/passwordPolicy');
+
+// 缺少两步验证密钥的加密密钥、生产环境邮件配置或无法读取弱密码列表时拒绝启动
+assertEncryptionKeyConfigured();
+assertMailConfigured();
+getCommonPasswords();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -26,6 +41,11 @@ const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
 // 连接数据库
 connectDB();
 
+// 定期清理过期的令牌等数据（测试环境不启动）
+if (process.env.NODE_ENV !== 'test') {
+  startMaintenanceJobs();
+}
+
 // 安全中间件
 app.use(helmet());
 
@@ -122,7 +142,10 @@ app.use(cors({
     'Accept',
     'Origin',
     'Access-Control-Request-Method',
-    'Access-Control-Request-Headers'
+    'Access-Control-Request-Headers',
+    'X-Client-Platform',
+    'X-Client-Version',
+    'X-API-Key'
   ],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
   preflightContinue: false,
@@ -153,12 +176,27 @@ app.get('/health', (req, res) => {
   });
 });
 
+// JWT公钥（JWKS），供其他服务验证访问令牌
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// 客户端更新信息在版本检查之前注册，过旧的客户端也能获取下载地址
+app.use('/api/client', clientRoutes);
+
+// 拒绝低于最低版本的客户端
+app.use('/api', checkClientVersion);
+
 // API路由
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/shop', shopRoutes);
 app.use('/api/achievements', achievementRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/multiplayer', multiplayerRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 根路径
 app.get('/', (req, res) => {
@@ -209,56 +247,66 @@ if (process.env.SSL_KEY_PATH && process.env.SSL_CERT_PATH) {
   }
 }
 
-// 启动HTTP服务器
-const httpServer = http.createServer(app);
-httpServer.listen(PORT, () => {
-  logger.info(`拼图大师后端HTTP服务器启动成功`);
-  logger.info(`HTTP端口: ${PORT}`);
-  logger.info(`环境: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`数据库: ${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`);
-});
-
-// 启动HTTPS服务器（如果SSL配置可用）
-let httpsServer = null;
-if (sslOptions) {
-  httpsServer = https.createServer(sslOptions, app);
-  httpsServer.listen(HTTPS_PORT, () => {
-    logger.info(`拼图大师后端HTTPS服务器启动成功`);
-    logger.info(`HTTPS端口: ${HTTPS_PORT}`);
+/**
+ * 启动HTTP/HTTPS服务器（测试环境由 supertest 直接调用 app，不监听端口，
+ * 避免多个测试文件重复加载时端口冲突）
+ */
+const startServers = () => {
+  // 启动HTTP服务器
+  const httpServer = http.createServer(app);
+  httpServer.listen(PORT, () => {
+    logger.info(`拼图大师后端HTTP服务器启动成功`);
+    logger.info(`HTTP端口: ${PORT}`);
+    logger.info(`环境: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`数据库: ${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`);
   });
-} else {
-  logger.info('HTTPS未启用 - 请配置SSL证书启用HTTPS支持');
-}
 
-// 优雅关闭
-process.on('SIGTERM', () => {
-  logger.info('收到SIGTERM信号，开始优雅关闭...');
-  httpServer.close(() => {
-    logger.info('HTTP服务器已关闭');
-    if (httpsServer) {
-      httpsServer.close(() => {
-        logger.info('HTTPS服务器已关闭');
+  // 启动HTTPS服务器（如果SSL配置可用）
+  let httpsServer = null;
+  if (sslOptions) {
+    httpsServer = https.createServer(sslOptions, app);
+    httpsServer.listen(HTTPS_PORT, () => {
+      logger.info(`拼图大师后端HTTPS服务器启动成功`);
+      logger.info(`HTTPS端口: ${HTTPS_PORT}`);
+    });
+  } else {
+    logger.info('HTTPS未启用 - 请配置SSL证书启用HTTPS支持');
+  }
+
+  // 优雅关闭
+  process.on('SIGTERM', () => {
+    logger.info('收到SIGTERM信号，开始优雅关闭...');
+    httpServer.close(() => {
+      logger.info('HTTP服务器已关闭');
+      if (httpsServer) {
+        httpsServer.close(() => {
+          logger.info('HTTPS服务器已关闭');
+          process.exit(0);
+        });
+      } else {
         process.exit(0);
-      });
-    } else {
-      process.exit(0);
-    }
+      }
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  logger.info('收到SIGINT信号，开始优雅关闭...');
-  httpServer.close(() => {
-    logger.info('HTTP服务器已关闭');
-    if (httpsServer) {
-      httpsServer.close(() => {
-        logger.info('HTTPS服务器已关闭');
+  process.on('SIGINT', () => {
+    logger.info('收到SIGINT信号，开始优雅关闭...');
+    httpServer.close(() => {
+      logger.info('HTTP服务器已关闭');
+      if (httpsServer) {
+        httpsServer.close(() => {
+          logger.info('HTTPS服务器已关闭');
+          process.exit(0);
+        });
+      } else {
         process.exit(0);
-      });
-    } else {
-      process.exit(0);
-    }
+      }
+    });
   });
-});
+};
+
+if (process.env.NODE_ENV !== 'test') {
+  startServers();
+}
 
 module.exports = app;
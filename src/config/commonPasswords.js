@@ -0,0 +1,82 @@
+/**
+ * 常见弱密码列表（不区分大小写）
+ * 以模块形式随代码一起打包，可通过 PASSWORD_COMMON_LIST_FILE 指定其他列表文件
+ */
+module.exports = [
+  '123456',
+  '1234567',
+  '12345678',
+  '123456789',
+  '1234567890',
+  '123123',
+  '123321',
+  '654321',
+  '111111',
+  '000000',
+  '666666',
+  '888888',
+  '112233',
+  '121212',
+  '123qwe',
+  '1q2w3e',
+  '1q2w3e4r',
+  '1qaz2wsx',
+  'qwerty',
+  'qwerty123',
+  'qwertyuiop',
+  'asdfgh',
+  'asdfghjkl',
+  'zxcvbn',
+  'zxcvbnm',
+  'abc123',
+  'abcd1234',
+  'a123456',
+  'aa123456',
+  'password',
+  'password1',
+  'password123',
+  'passw0rd',
+  'p@ssw0rd',
+  'admin',
+  'admin123',
+  'administrator',
+  'root',
+  'letmein',
+  'welcome',
+  'welcome1',
+  'iloveyou',
+  'monkey',
+  'dragon',
+  'master',
+  'sunshine',
+  'princess',
+  'football',
+  'baseball',
+  'superman',
+  'batman',
+  'shadow',
+  'michael',
+  'starwars',
+  'trustno1',
+  'whatever',
+  'freedom',
+  'hello123',
+  'login',
+  'test123',
+  'testtest',
+  'changeme',
+  'secret',
+  'computer',
+  'internet',
+  'woaini',
+  'woaini1314',
+  '5201314',
+  '1314520',
+  'qq123456',
+  'a1b2c3',
+  'aaaaaa',
+  'abcdef',
+  'abcabc',
+  'puzzle',
+  'puzzle123'
+];
@@ -1,7 +1,123 @@
-const jwt = require('jsonwebtoken');
+const { randomUUID } = require('crypto');
 const { query } = require('../config/database');
+const { signToken, verifyToken } = require('../utils/jwtKeys');
+const { touchSession, revokeAllSessions } = require('../utils/sessions');
+const { findActiveApiKey } = require('../utils/apiKeys');
+const { getCachedUser, setCachedUser } = require('../utils/userCache');
+const { ForbiddenError } = require('./errorHandler');
 const { logger } = require('../utils/logger');
 
+// 角色由低到高，高级角色拥有低级角色的全部权限
+const ROLE_LEVELS = {
+  player: 0,
+  moderator: 1,
+  admin: 2
+};
+
+/**
+ * 查询用户资料和统计数据（优先使用缓存）
+ */
+const loadUser = async (userId) => {
+  const cached = getCachedUser(userId);
+  if (cached) {
+    return cached;
+  }
+
+  const users = await query(
+    `SELECT
+      u.id as user_id,
+      u.username,
+      u.email,
+      u.avatar,
+      u.avatar_frame,
+      u.timezone,
+      u.created_at,
+      u.updated_at,
+      u.last_login_at,
+      u.is_guest,
+      u.role,
+      us.level,
+      us.experience,
+      us.coins,
+      us.total_score,
+      us.games_completed,
+      us.total_play_time
+    FROM users u
+    LEFT JOIN user_stats us ON u.id = us.user_id
+    WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  setCachedUser(userId, users[0]);
+  return users[0];
+};
+
+/**
+ * 查询令牌对应的有效用户
+ * 账号状态和吊销状态每次都查询数据库，不使用缓存：
+ * token - 令牌本身已吊销（登出加入吊销表，或签发时间早于用户的令牌失效时间）
+ * session - 令牌所属的登录会话已被吊销或已过期
+ */
+const findTokenUser = async (decoded) => {
+  const states = await query(
+    `SELECT
+      UNIX_TIMESTAMP(u.tokens_valid_after) as tokens_valid_after_ts,
+      (SELECT COUNT(*) FROM revoked_tokens rt WHERE rt.jti = ?) as token_revoked,
+      (SELECT COUNT(*) FROM user_sessions s
+        WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) as session_active
+    FROM users u
+    WHERE u.id = ? AND u.is_active = TRUE`,
+    [decoded.jti || '', decoded.sid || '', decoded.userId]
+  );
+
+  const state = states[0];
+  const user = state ? await loadUser(decoded.userId) : null;
+
+  if (!user) {
+    return { user: null, revocation: null };
+  }
+
+  if (state.token_revoked > 0 ||
+      (state.tokens_valid_after_ts !== null && decoded.iat < Math.floor(state.tokens_valid_after_ts))) {
+    return { user, revocation: 'token' };
+  }
+
+  if (decoded.sid && Number(state.session_active) === 0) {
+    return { user, revocation: 'session' };
+  }
+
+  return { user, revocation: null };
+};
+
+/**
+ * 是否为访问令牌（早期签发的访问令牌没有 type 声明）
+ */
+const isAccessToken = (decoded) => !decoded.type || decoded.type === 'access';
+
+/**
+ * 将数据库用户记录转换为请求中的用户对象
+ */
+const toRequestUser = (user) => ({
+  id: user.user_id,  // 使用明确的字段名
+  username: user.username,
+  email: user.email,
+  isGuest: Boolean(user.is_guest),
+  role: user.role,
+  avatar: user.avatar,
+  avatarFrame: user.avatar_frame,
+  timezone: user.timezone,
+  level: user.level || 1,
+  experience: user.experience || 0,
+  coins: user.coins || 500,
+  totalScore: user.total_score || 0,
+  gamesCompleted: user.games_completed || 0,
+  totalPlayTime: user.total_play_time || 0
+});
+
 /**
  * JWT认证中间件
  */
@@ -17,59 +133,48 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // 验证JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    logger.info(`Token解析结果: userId=${decoded.userId}, token前10个字符=${token.substring(0, 10)}...`);
-    
+    // 验证JWT token（按 kid 选择验证密钥）
+    const decoded = verifyToken(token);
+
+    // 两步验证的登录挑战令牌等其他类型的令牌不能用于访问接口
+    if (!isAccessToken(decoded)) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
     // 查询用户信息
-    const users = await query(
-      `SELECT 
-        u.id as user_id,
-        u.username,
-        u.email,
-        u.password_hash,
-        u.avatar,
-        u.avatar_frame,
-        u.created_at,
-        u.updated_at,
-        u.last_login_at,
-        u.is_active,
-        us.level,
-        us.experience,
-        us.coins,
-        us.total_score,
-        us.games_completed,
-        us.total_play_time
-      FROM users u 
-      LEFT JOIN user_stats us ON u.id = us.user_id 
-      WHERE u.id = ? AND u.is_active = TRUE`,
-      [decoded.userId]
-    );
-    
-    logger.info(`用户查询结果: 找到${users.length}个用户，查询ID=${decoded.userId}`);
-
-    if (users.length === 0) {
+    const { user, revocation } = await findTokenUser(decoded);
+
+    if (!user) {
       return res.status(401).json({
         error: 'Invalid token or user not found',
         code: 'INVALID_TOKEN'
       });
     }
 
+    if (revocation === 'token') {
+      return res.status(401).json({
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    if (revocation === 'session') {
+      return res.status(401).json({
+        error: 'Session has been signed out',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // 将用户信息添加到请求对象
-    req.user = {
-      id: users[0].user_id,  // 使用明确的字段名
-      username: users[0].username,
-      email: users[0].email,
-      avatar: users[0].avatar,
-      avatarFrame: users[0].avatar_frame,
-      level: users[0].level || 1,
-      experience: users[0].experience || 0,
-      coins: users[0].coins || 500,
-      totalScore: users[0].total_score || 0,
-      gamesCompleted: users[0].games_completed || 0,
-      totalPlayTime: users[0].total_play_time || 0
-    };
-    
+    req.user = toRequestUser(user);
+    req.tokenPayload = decoded;
+
+    if (decoded.sid) {
+      touchSession(decoded.sid, req.ip);
+    }
 
     next();
   } catch (error) {
@@ -106,46 +211,18 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const users = await query(
-      `SELECT 
-        u.id as user_id,
-        u.username,
-        u.email,
-        u.password_hash,
-        u.avatar,
-        u.avatar_frame,
-        u.created_at,
-        u.updated_at,
-        u.last_login_at,
-        u.is_active,
-        us.level,
-        us.experience,
-        us.coins,
-        us.total_score,
-        us.games_completed,
-        us.total_play_time
-      FROM users u 
-      LEFT JOIN user_stats us ON u.id = us.user_id 
-      WHERE u.id = ? AND u.is_active = TRUE`,
-      [decoded.userId]
-    );
-
-    if (users.length > 0) {
-      req.user = {
-        id: users[0].user_id,  // 使用明确的字段名
-        username: users[0].username,
-        email: users[0].email,
-        avatar: users[0].avatar,
-        avatarFrame: users[0].avatar_frame,
-        level: users[0].level || 1,
-        experience: users[0].experience || 0,
-        coins: users[0].coins || 500,
-        totalScore: users[0].total_score || 0,
-        gamesCompleted: users[0].games_completed || 0,
-        totalPlayTime: users[0].total_play_time || 0
-      };
+    const decoded = verifyToken(token);
+
+    if (!isAccessToken(decoded)) {
+      req.user = null;
+      return next();
+    }
+
+    const { user, revocation } = await findTokenUser(decoded);
+
+    if (user && !revocation) {
+      req.user = toRequestUser(user);
+      req.tokenPayload = decoded;
     } else {
       req.user = null;
     }
@@ -159,18 +236,189 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * 生成JWT token
+ * 要求正式账号，游客账号需要先升级（需在 authenticateToken 之后使用）
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+const requireRegisteredUser = (req, res, next) => {
+  if (req.user && req.user.isGuest) {
+    return res.status(403).json({
+      success: false,
+      error: '游客账号请先升级为正式账号',
+      code: 'GUEST_ACCOUNT'
+    });
+  }
+  next();
+};
+
+/**
+ * 要求用户角色不低于指定角色（需在 authenticateToken 之后使用）
+ * 权限以数据库中的当前角色为准，令牌中的 role 声明只供其他服务参考
+ * @param {string} minimumRole 最低角色 moderator/admin
+ */
+const requireRole = (minimumRole) => {
+  if (!(minimumRole in ROLE_LEVELS)) {
+    throw new Error(`未知的角色: ${minimumRole}`);
+  }
+
+  return (req, res, next) => {
+    const userLevel = req.user ? ROLE_LEVELS[req.user.role] : undefined;
+
+    if (userLevel === undefined || userLevel < ROLE_LEVELS[minimumRole]) {
+      return next(new ForbiddenError('权限不足'));
+    }
+    next();
+  };
+};
+
+/**
+ * API密钥认证中间件，密钥通过 X-API-Key 请求头传递
+ * 认证成功后设置 req.apiKey，req.user 为 null
+ * @param {string} scope 接口所需的权限范围
+ */
+const authenticateApiKey = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = await findActiveApiKey(req.headers['x-api-key'], req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API密钥无效、已吊销或已过期',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API密钥缺少权限范围 ${scope}`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    req.user = null;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 允许接口使用API密钥访问：请求带有 X-API-Key 时按密钥认证并检查权限范围，
+ * 否则依次执行原有的用户认证中间件
+ * @param {string} scope 接口所需的权限范围
+ * @param {...function} userMiddlewares 用户认证中间件，如 authenticateToken、requireRole('moderator')
+ */
+const allowApiKey = (scope, ...userMiddlewares) => {
+  const apiKeyMiddleware = authenticateApiKey(scope);
+
+  return (req, res, next) => {
+    if (req.headers['x-api-key']) {
+      return apiKeyMiddleware(req, res, next);
+    }
+
+    const run = (index, error) => {
+      if (error || index === userMiddlewares.length) {
+        return next(error);
+      }
+      userMiddlewares[index](req, res, (err) => run(index + 1, err));
+    };
+    run(0);
+  };
+};
+
+/**
+ * 生成短期访问令牌（JWT），过期后由刷新令牌换取新令牌
+ * 每个令牌带有唯一的 jti，用于登出时吊销；sid 为所属登录会话
+ */
+const generateToken = (userId, sessionId = null, role = 'player') => {
+  return signToken(
+    { userId, type: 'access', role, ...(sessionId && { sid: sessionId }) },
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+      jwtid: randomUUID()
+    }
   );
 };
 
+/**
+ * 生成两步验证的登录挑战令牌，只能用于提交第二步验证码
+ */
+const generateChallengeToken = (userId) => {
+  return signToken(
+    { userId, type: '2fa_challenge' },
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      jwtid: randomUUID()
+    }
+  );
+};
+
+/**
+ * 校验并使用登录挑战令牌，校验通过后立即吊销，并发请求中只有一个能使用成功
+ * @returns {object|null} 令牌内容，无效、过期或已使用时返回null
+ */
+const consumeChallengeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== '2fa_challenge' || !decoded.jti) {
+    return null;
+  }
+
+  const result = await query(
+    'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+  return result.affectedRows === 1 ? decoded : null;
+};
+
+/**
+ * 吊销访问令牌，吊销记录保留到令牌原本的过期时间
+ */
+const revokeToken = async (decoded) => {
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+
+  await query(
+    'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+};
+
+/**
+ * 使用户在此之前签发的所有令牌失效
+ * @param {string} userId 用户ID
+ * @param {object} connection 可选的事务连接
+ */
+const invalidateUserTokens = async (userId, connection = null) => {
+  const sql = 'UPDATE users SET tokens_valid_after = CURRENT_TIMESTAMP WHERE id = ?';
+
+  if (connection) {
+    await connection.execute(sql, [userId]);
+  } else {
+    await query(sql, [userId]);
+  }
+
+  // 同时结束所有登录会话及其刷新令牌
+  await revokeAllSessions(userId, null, connection);
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
-  generateToken
+  requireRegisteredUser,
+  requireRole,
+  ROLE_LEVELS,
+  authenticateApiKey,
+  allowApiKey,
+  generateToken,
+  generateChallengeToken,
+  consumeChallengeToken,
+  revokeToken,
+  invalidateUserTokens
 };
@@ -0,0 +1,51 @@
+const { getClientMeta } = require('../utils/sessions');
+const { getPlatformRelease, isOutdated } = require('../utils/clientRelease');
+const { logger } = require('../utils/logger');
+
+/**
+ * 客户端版本检查
+ * 客户端通过 X-Client-Platform（如 tauri、web）和 X-Client-Version 请求头上报版本，
+ * 低于该平台最低版本的客户端被拒绝并提示升级。
+ * 没有上报版本的请求（脚本、旧版客户端）和没有配置最低版本的平台不做限制
+ */
+
+/**
+ * 拒绝低于最低版本的客户端
+ */
+const checkClientVersion = async (req, res, next) => {
+  const version = req.get('X-Client-Version');
+
+  if (!version) {
+    return next();
+  }
+
+  const { client: platform } = getClientMeta(req);
+
+  try {
+    const release = await getPlatformRelease(platform);
+
+    if (isOutdated(version, release.minimumVersion)) {
+      return res.status(426).json({
+        success: false,
+        error: '客户端版本过低，请升级到最新版本',
+        code: 'UPGRADE_REQUIRED',
+        data: {
+          platform,
+          currentVersion: version,
+          minimumVersion: release.minimumVersion,
+          latestVersion: release.latestVersion,
+          downloadUrl: release.downloadUrl
+        }
+      });
+    }
+  } catch (error) {
+    // 读取配置失败时不影响正常请求
+    logger.warn('客户端版本检查失败:', { error: error.message });
+  }
+
+  next();
+};
+
+module.exports = {
+  checkClientVersion
+};
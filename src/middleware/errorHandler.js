@@ -47,6 +47,14 @@ const errorHandler = (err, req, res, next) => {
       code: 'NOT_FOUND',
       status: 404
     };
+  } else if (err.isOperational && err.statusCode) {
+    // 业务层主动抛出的 AppError，沿用其状态码和错误代码
+    error = {
+      message: err.message,
+      code: err.code || 'APP_ERROR',
+      status: err.statusCode,
+      details: err.details
+    };
   } else if (err.code === 'ER_DUP_ENTRY') {
     error = {
       message: '数据重复，该记录已存在',
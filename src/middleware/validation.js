@@ -1,5 +1,12 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { AUDIT_EVENT_TYPES } = require('../utils/audit');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { PROFILE_VISIBILITIES } = require('../utils/profiles');
+const { ITEM_TYPES } = require('../utils/shop');
+const { WALLET_CURRENCIES } = require('../utils/wallet');
+const { MAX_CALENDAR_DAYS, isValidTimezone } = require('../utils/dailyRewards');
 
 /**
  * 处理验证结果
@@ -18,16 +25,45 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * 用户名规则（注册和修改用户名共用）
+ */
+const usernameRule = () => body('username')
+  .trim()
+  .isLength({ min: 3, max: 50 })
+  .withMessage('用户名长度必须在3-50个字符之间')
+  .matches(/^[a-zA-Z0-9_\u4e00-\u9fa5]+$/)
+  .withMessage('用户名只能包含字母、数字、下划线和中文字符')
+  .not()
+  .matches(/^guest_/i)
+  .withMessage('用户名不能以 guest_ 开头');
+
+/**
+ * 目标玩家的用户名（好友请求、屏蔽等按用户名指定其他玩家的接口共用）
+ */
+const targetUsernameRule = () => body('username')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('请输入对方的用户名');
+
+/**
+ * 新密码规则，按密码策略检查（注册、修改密码和重置密码共用）
+ * @param {string} field 字段名
+ */
+const newPasswordRule = (field) => body(field)
+  .custom((value) => {
+    const problem = checkPassword(value);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return true;
+  });
+
 /**
  * 用户注册验证规则
  */
 const validateRegistration = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 50 })
-    .withMessage('用户名长度必须在3-50个字符之间')
-    .matches(/^[a-zA-Z0-9_\u4e00-\u9fa5]+$/)
-    .withMessage('用户名只能包含字母、数字、下划线和中文字符'),
+  usernameRule(),
     
   body('email')
     .optional()
@@ -35,9 +71,7 @@ const validateRegistration = [
     .withMessage('请输入有效的邮箱地址')
     .normalizeEmail(),
     
-  body('password')
-    .isLength({ min: 6, max: 100 })
-    .withMessage('密码长度必须在6-100个字符之间'),
+  newPasswordRule('password'),
     
   body('confirmPassword')
     .custom((value, { req }) => {
@@ -54,10 +88,19 @@ const validateRegistration = [
  * 用户登录验证规则
  */
 const validateLogin = [
-  body('username')
+  // 用户名或已验证的邮箱，兼容旧客户端提交的 username 字段
+  body('identifier')
+    .customSanitizer((value, { req }) => value ?? req.body.username)
+    .isString()
+    .withMessage('用户名或邮箱不能为空')
     .trim()
     .notEmpty()
-    .withMessage('用户名不能为空'),
+    .withMessage('用户名或邮箱不能为空'),
+
+  // 邮箱按注册和验证时相同的规则规范化，否则 Gmail 等带点或 +标签 的地址无法匹配
+  body('identifier')
+    .if(body('identifier').isEmail())
+    .normalizeEmail(),
     
   body('password')
     .notEmpty()
@@ -66,6 +109,122 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * 刷新令牌验证规则
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('刷新令牌必须是字符串')
+    .notEmpty()
+    .withMessage('刷新令牌不能为空'),
+    
+  handleValidationErrors
+];
+
+/**
+ * 忘记密码验证规则
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('请输入有效的邮箱地址')
+    .normalizeEmail(),
+    
+  handleValidationErrors
+];
+
+/**
+ * 邮箱验证规则
+ */
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .withMessage('验证令牌必须是字符串')
+    .notEmpty()
+    .withMessage('验证令牌不能为空'),
+    
+  handleValidationErrors
+];
+
+/**
+ * 两步验证码验证规则
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .withMessage('验证码必须是字符串')
+    .trim()
+    .notEmpty()
+    .withMessage('验证码不能为空'),
+    
+  handleValidationErrors
+];
+
+/**
+ * 登录第二步验证规则
+ */
+const validateTwoFactorVerify = [
+  body('challengeToken')
+    .isString()
+    .withMessage('验证令牌必须是字符串')
+    .notEmpty()
+    .withMessage('验证令牌不能为空'),
+    
+  ...validateTwoFactorCode
+];
+
+/**
+ * 关闭两步验证验证规则
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .isString()
+    .withMessage('密码必须是字符串')
+    .notEmpty()
+    .withMessage('密码不能为空'),
+    
+  ...validateTwoFactorCode
+];
+
+/**
+ * 修改密码验证规则
+ */
+const validateChangePassword = [
+  body('currentPassword')
+    .isString()
+    .withMessage('当前密码必须是字符串')
+    .notEmpty()
+    .withMessage('当前密码不能为空'),
+    
+  newPasswordRule('newPassword'),
+    
+  handleValidationErrors
+];
+
+/**
+ * 重置密码验证规则
+ */
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('重置令牌必须是字符串')
+    .notEmpty()
+    .withMessage('重置令牌不能为空'),
+    
+  newPasswordRule('newPassword'),
+    
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('确认密码与密码不匹配');
+      }
+      return true;
+    }),
+    
+  handleValidationErrors
+];
+
 /**
  * 更新用户信息验证规则
  */
@@ -79,21 +238,57 @@ const validateUserUpdate = [
     .optional()
     .isLength({ max: 255 })
     .withMessage('头像框URL长度不能超过255个字符'),
+
+  body('profileVisibility')
+    .optional()
+    .isIn(PROFILE_VISIBILITIES)
+    .withMessage(`资料可见性必须是 ${PROFILE_VISIBILITIES.join('、')} 之一`),
+
+  body('timezone')
+    .optional()
+    .isString()
+    .custom(isValidTimezone)
+    .withMessage('时区必须是有效的IANA时区名称，如 Asia/Shanghai'),
     
   handleValidationErrors
 ];
 
 /**
- * 更新用户奖励验证规则
+ * 兑换奖励凭证验证规则
  */
 const validateRewardsUpdate = [
+  body('voucher')
+    .isString()
+    .notEmpty()
+    .withMessage('奖励凭证不能为空'),
+    
+  handleValidationErrors
+];
+
+/**
+ * 管理员发放奖励验证规则
+ */
+const validateRewardGrant = [
   body('coins')
+    .optional()
     .isInt({ min: -999999, max: 999999 })
-    .withMessage('金币数量必须是整数，范围在-999999到999999之间'),
+    .withMessage('金币数量必须是整数，范围在-999999到999999之间')
+    .toInt(),
     
   body('experience')
+    .optional()
     .isInt({ min: 0, max: 999999 })
-    .withMessage('经验值必须是非负整数，最大999999'),
+    .withMessage('经验值必须是非负整数，最大999999')
+    .toInt(),
+    
+  body()
+    .custom(({ coins = 0, experience = 0 }) => Number(coins) !== 0 || Number(experience) !== 0)
+    .withMessage('金币和经验不能同时为0'),
+    
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('必须填写发放原因（不超过200个字符）'),
     
   handleValidationErrors
 ];
@@ -160,10 +355,152 @@ const validateAchievementUnlock = [
     .optional()
     .isInt({ min: 0 })
     .withMessage('进度必须是非负整数'),
+
+  // 仅API密钥请求使用，玩家请求始终更新自己的成就
+  body('userId')
+    .optional()
+    .isString()
+    .withMessage('用户ID必须是字符串'),
     
   handleValidationErrors
 ];
 
+/**
+ * 修改用户名验证
+ */
+const validateUsernameChange = [
+  usernameRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * 好友请求验证
+ */
+const validateFriendRequest = [
+  targetUsernameRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * 屏蔽玩家验证
+ */
+const validateBlockUser = [
+  targetUsernameRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * 用户角色更新验证
+ */
+const validateRoleUpdate = [
+  body('role')
+    .isIn(['player', 'moderator', 'admin'])
+    .withMessage('角色必须是 player、moderator 或 admin'),
+
+  handleValidationErrors
+];
+
+/**
+ * API密钥创建验证
+ */
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('密钥名称长度必须在1-100个字符之间'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('至少需要一个权限范围'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`权限范围必须是 ${API_KEY_SCOPES.join('、')} 之一`),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('过期时间格式无效')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('过期时间必须晚于当前时间'),
+
+  handleValidationErrors
+];
+
+/**
+ * 审计事件查询验证
+ */
+const validateAuditQuery = [
+  query('type')
+    .optional()
+    .isIn(AUDIT_EVENT_TYPES)
+    .withMessage('无效的事件类型'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('时间格式无效'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须是正整数'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须是1-100之间的整数'),
+
+  handleValidationErrors
+];
+
+/**
+ * 商店物品查询验证
+ */
+const validateShopQuery = [
+  query('type')
+    .optional()
+    .isIn(ITEM_TYPES)
+    .withMessage(`物品类型必须是 ${ITEM_TYPES.join('、')} 之一`),
+
+  handleValidationErrors
+];
+
+/**
+ * 金币和经验流水查询验证
+ */
+const validateWalletHistoryQuery = [
+  query('currency')
+    .optional()
+    .isIn(WALLET_CURRENCIES)
+    .withMessage(`币种必须是 ${WALLET_CURRENCIES.join('、')} 之一`),
+
+  handleValidationErrors
+];
+
+/**
+ * 每日签到奖励日历验证规则
+ */
+const validateDailyRewardCalendar = [
+  body('calendar')
+    .isArray({ min: 1, max: MAX_CALENDAR_DAYS })
+    .withMessage(`奖励日历必须包含1到${MAX_CALENDAR_DAYS}天`),
+
+  body('calendar.*.coins')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('每天的金币奖励必须是0到100000之间的整数'),
+
+  body('calendar.*.experience')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('每天的经验奖励必须是0到100000之间的整数'),
+
+  handleValidationErrors
+];
+
 /**
  * 分页参数验证
  */
@@ -206,10 +543,28 @@ const validateLeaderboardQuery = [
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateChangePassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateTwoFactorVerify,
+  validateTwoFactorDisable,
   validateUserUpdate,
   validateRewardsUpdate,
+  validateRewardGrant,
   validateGameCompletion,
   validateAchievementUnlock,
+  validateUsernameChange,
+  validateFriendRequest,
+  validateBlockUser,
+  validateShopQuery,
+  validateWalletHistoryQuery,
+  validateDailyRewardCalendar,
+  validateRoleUpdate,
+  validateApiKeyCreation,
+  validateAuditQuery,
   validatePagination,
   validateLeaderboardQuery,
   handleValidationErrors
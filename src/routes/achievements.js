@@ -1,17 +1,41 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, allowApiKey } = require('../middleware/auth');
 const { validateAchievementUnlock } = require('../middleware/validation');
-const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { asyncHandler, AppError, NotFoundError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { invalidateUser } = require('../utils/userCache');
+const { applyWalletChange } = require('../utils/wallet');
 
 const router = express.Router();
 
 /**
- * 获取所有成就定义
+ * 成就进度所属的用户：玩家请求为当前用户，API密钥请求需在请求体中指定 userId
+ * @returns {object} { id, username }
+ */
+const resolveTargetUser = async (req) => {
+  if (!req.apiKey) {
+    return { id: req.user.id, username: req.user.username };
+  }
+  
+  if (!req.body.userId) {
+    throw new AppError('使用API密钥更新成就时必须指定 userId', 400, 'USER_ID_REQUIRED');
+  }
+  
+  const users = await query('SELECT id, username FROM users WHERE id = ? AND is_active = TRUE', [req.body.userId]);
+  
+  if (users.length === 0) {
+    throw new AppError('用户不存在', 404, 'USER_NOT_FOUND');
+  }
+  
+  return users[0];
+};
+
+/**
+ * 获取所有成就定义，也可使用带 achievements:read 的API密钥访问
  * GET /api/achievements
  */
-router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/', allowApiKey('achievements:read', optionalAuth), asyncHandler(async (req, res) => {
   const userId = req.user?.id;
   
   // 获取所有成就定义
@@ -136,11 +160,12 @@ router.get('/user', authenticateToken, asyncHandler(async (req, res) => {
 }));
 
 /**
- * 解锁成就
+ * 解锁成就，也可使用带 achievements:write 的API密钥为指定用户更新
  * POST /api/achievements/unlock
  */
-router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+router.post('/unlock', allowApiKey('achievements:write', authenticateToken), validateAchievementUnlock, asyncHandler(async (req, res) => {
+  const targetUser = await resolveTargetUser(req);
+  const userId = targetUser.id;
   const { achievementId, progress = 1 } = req.body;
   
   // 检查成就是否存在
@@ -165,6 +190,7 @@ router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandle
     let newProgress = progress;
     let wasUnlocked = false;
     let rewardsGiven = false;
+    let levelRewards = [];
     
     if (userAchievements.length > 0) {
       const userAchievement = userAchievements[0];
@@ -202,12 +228,15 @@ router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandle
     }
     
     // 如果成就解锁，给予奖励
-    if (wasUnlocked && achievement.reward_coins > 0 || achievement.reward_experience > 0) {
-      await connection.execute(
-        'UPDATE user_stats SET coins = coins + ?, experience = experience + ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
-        [achievement.reward_coins, achievement.reward_experience, userId]
-      );
+    if (wasUnlocked && (achievement.reward_coins > 0 || achievement.reward_experience > 0)) {
+      const wallet = await applyWalletChange(connection, userId, {
+        coins: achievement.reward_coins,
+        experience: achievement.reward_experience,
+        sourceType: 'achievement',
+        sourceId: achievementId
+      });
       rewardsGiven = true;
+      levelRewards = wallet.levelRewards;
     }
     
     return {
@@ -226,10 +255,15 @@ router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandle
         rewardExperience: achievement.reward_experience
       },
       wasUnlocked,
-      rewardsGiven
+      rewardsGiven,
+      levelRewards
     };
   });
   
+  if (result.rewardsGiven) {
+    invalidateUser(userId);
+  }
+  
   if (result.alreadyUnlocked) {
     return res.json({
       success: true,
@@ -239,7 +273,7 @@ router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandle
   }
   
   if (result.wasUnlocked) {
-    logger.info(`用户解锁成就: ${req.user.username} (${userId}) - ${achievementId}: ${achievement.title}`);
+    logger.info(`用户解锁成就: ${targetUser.username} (${userId}) - ${achievementId}: ${achievement.title}`);
   }
   
   res.json({
@@ -248,17 +282,19 @@ router.post('/unlock', authenticateToken, validateAchievementUnlock, asyncHandle
     data: {
       achievement: result.achievement,
       unlocked: result.wasUnlocked,
-      rewardsGiven: result.rewardsGiven
+      rewardsGiven: result.rewardsGiven,
+      levelRewards: result.levelRewards
     }
   });
 }));
 
 /**
- * 批量更新成就进度
+ * 批量更新成就进度，也可使用带 achievements:write 的API密钥为指定用户更新
  * POST /api/achievements/batch-update
  */
-router.post('/batch-update', authenticateToken, asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+router.post('/batch-update', allowApiKey('achievements:write', authenticateToken), asyncHandler(async (req, res) => {
+  const targetUser = await resolveTargetUser(req);
+  const userId = targetUser.id;
   const { achievements: achievementUpdates } = req.body;
   
   if (!Array.isArray(achievementUpdates) || achievementUpdates.length === 0) {
@@ -272,6 +308,7 @@ router.post('/batch-update', authenticateToken, asyncHandler(async (req, res) =>
   const results = await transaction(async (connection) => {
     const unlocked = [];
     const updated = [];
+    const levelRewards = [];
     
     for (const update of achievementUpdates) {
       const { achievementId, progress = 1 } = update;
@@ -340,21 +377,28 @@ router.post('/batch-update', authenticateToken, asyncHandler(async (req, res) =>
         
         // 给予奖励
         if (achievement.reward_coins > 0 || achievement.reward_experience > 0) {
-          await connection.execute(
-            'UPDATE user_stats SET coins = coins + ?, experience = experience + ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
-            [achievement.reward_coins, achievement.reward_experience, userId]
-          );
+          const wallet = await applyWalletChange(connection, userId, {
+            coins: achievement.reward_coins,
+            experience: achievement.reward_experience,
+            sourceType: 'achievement',
+            sourceId: achievementId
+          });
+          levelRewards.push(...wallet.levelRewards);
         }
       } else {
         updated.push(achievementData);
       }
     }
     
-    return { unlocked, updated };
+    return { unlocked, updated, levelRewards };
   });
   
   if (results.unlocked.length > 0) {
-    logger.info(`用户批量解锁成就: ${req.user.username} (${userId}) - ${results.unlocked.length}个成就`);
+    invalidateUser(userId);
+  }
+  
+  if (results.unlocked.length > 0) {
+    logger.info(`用户批量解锁成就: ${targetUser.username} (${userId}) - ${results.unlocked.length}个成就`);
   }
   
   res.json({
@@ -364,7 +408,8 @@ router.post('/batch-update', authenticateToken, asyncHandler(async (req, res) =>
       unlocked: results.unlocked,
       updated: results.updated,
       totalUnlocked: results.unlocked.length,
-      totalUpdated: results.updated.length
+      totalUpdated: results.updated.length,
+      levelRewards: results.levelRewards
     }
   });
 }));
@@ -0,0 +1,350 @@
+const express = require('express');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireRole, allowApiKey } = require('../middleware/auth');
+const { validateRoleUpdate, validateApiKeyCreation, validateAuditQuery, validateRewardGrant, validateDailyRewardCalendar } = require('../middleware/validation');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { unlockAccount } = require('../utils/loginProtection');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const { recordAuditEvent, queryAuditEvents } = require('../utils/audit');
+const { invalidateUser, getUserCacheStats } = require('../utils/userCache');
+const { applyWalletChange, findWalletMismatches } = require('../utils/wallet');
+const { getRewardCalendar } = require('../utils/dailyRewards');
+const { clearConfigCache } = require('../utils/systemConfig');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// 管理接口至少需要版主权限，部分接口也允许带有相应权限范围的API密钥访问
+const requireModerator = [authenticateToken, requireRole('moderator')];
+const requireAdmin = [authenticateToken, requireRole('admin')];
+
+/**
+ * 操作者信息，用于安全日志
+ */
+const getOperator = (req) => (req.apiKey
+  ? { apiKeyId: req.apiKey.id, ip: req.ip }
+  : { operatorId: req.user.id, ip: req.ip });
+
+/**
+ * 查询用户列表
+ * GET /api/admin/users
+ */
+router.get('/users', allowApiKey('users:read', ...requireModerator), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = (page - 1) * limit;
+  const { search, role } = req.query;
+  
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+  
+  if (search) {
+    whereClause += ' AND (username LIKE ? OR email LIKE ?)';
+    queryParams.push(`%${search}%`, `%${search}%`);
+  }
+  
+  if (role && ['player', 'moderator', 'admin'].includes(role)) {
+    whereClause += ' AND role = ?';
+    queryParams.push(role);
+  }
+  
+  const users = await query(
+    `SELECT id, username, email, email_verified_at, role, is_guest, is_active, locked_until, created_at, last_login_at
+     FROM users
+     ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT ? OFFSET ?`,
+    [...queryParams, limit, offset]
+  );
+  
+  const totalCount = await query(
+    `SELECT COUNT(*) as count FROM users ${whereClause}`,
+    queryParams
+  );
+  
+  res.json({
+    success: true,
+    data: {
+      users: users.map(user => ({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.email_verified_at !== null,
+        role: user.role,
+        isGuest: Boolean(user.is_guest),
+        isActive: Boolean(user.is_active),
+        lockedUntil: user.locked_until && new Date(user.locked_until) > new Date() ? user.locked_until : null,
+        createdAt: user.created_at,
+        lastLoginAt: user.last_login_at
+      })),
+      pagination: {
+        page,
+        limit,
+        total: totalCount[0].count,
+        totalPages: Math.ceil(totalCount[0].count / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * 解除账号的登录锁定
+ * POST /api/admin/users/:id/unlock
+ */
+router.post('/users/:id/unlock', allowApiKey('users:write', ...requireModerator), asyncHandler(async (req, res) => {
+  const unlocked = await unlockAccount(req.params.id, getOperator(req));
+  
+  if (!unlocked) {
+    throw new NotFoundError('用户不存在');
+  }
+  
+  await recordAuditEvent(req, 'account_unlocked', { userId: req.params.id });
+  
+  res.json({
+    success: true,
+    message: '账号已解除锁定'
+  });
+}));
+
+/**
+ * 修改用户角色（仅管理员）
+ * PUT /api/admin/users/:id/role
+ */
+router.put('/users/:id/role', requireAdmin, validateRoleUpdate, asyncHandler(async (req, res) => {
+  const targetUserId = req.params.id;
+  const { role } = req.body;
+  
+  // 防止管理员误操作取消自己的权限
+  if (targetUserId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: '不能修改自己的角色',
+      code: 'CANNOT_CHANGE_OWN_ROLE'
+    });
+  }
+  
+  const result = await query(
+    'UPDATE users SET role = ? WHERE id = ? AND is_guest = FALSE',
+    [role, targetUserId]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw new NotFoundError('用户不存在');
+  }
+  
+  invalidateUser(targetUserId);
+  
+  logger.security('用户角色已修改', { targetUserId, role, operatorId: req.user.id, ip: req.ip });
+  await recordAuditEvent(req, 'role_changed', { userId: targetUserId, details: { role } });
+  
+  res.json({
+    success: true,
+    message: '角色修改成功',
+    data: {
+      id: targetUserId,
+      role
+    }
+  });
+}));
+
+/**
+ * 为用户发放或扣除金币和经验（仅管理员），必须填写原因
+ * POST /api/admin/users/:id/rewards
+ */
+router.post('/users/:id/rewards', requireAdmin, validateRewardGrant, asyncHandler(async (req, res) => {
+  const targetUserId = req.params.id;
+  const { coins = 0, experience = 0, reason } = req.body;
+  
+  const wallet = await transaction(async (connection) => applyWalletChange(connection, targetUserId, {
+    coins,
+    experience,
+    sourceType: 'admin_grant',
+    sourceId: req.user.id,
+    insufficientMessage: '扣除后金币不能为负数'
+  }));
+  
+  invalidateUser(targetUserId);
+  
+  logger.security('管理员发放奖励', { targetUserId, coins, experience, reason, operatorId: req.user.id, ip: req.ip });
+  await recordAuditEvent(req, 'rewards_granted', { userId: targetUserId, details: { coins, experience, reason } });
+  
+  res.json({
+    success: true,
+    message: '奖励发放成功',
+    data: {
+      coins: wallet.coins,
+      experience: wallet.experience,
+      level: wallet.level,
+      levelRewards: wallet.levelRewards
+    }
+  });
+}));
+
+/**
+ * 获取每日签到奖励日历（仅管理员）
+ * GET /api/admin/daily-reward/calendar
+ */
+router.get('/daily-reward/calendar', requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      calendar: await getRewardCalendar()
+    }
+  });
+}));
+
+/**
+ * 修改每日签到奖励日历（仅管理员），第N项为连续签到第N天的奖励
+ * PUT /api/admin/daily-reward/calendar
+ */
+router.put('/daily-reward/calendar', requireAdmin, validateDailyRewardCalendar, asyncHandler(async (req, res) => {
+  const calendar = req.body.calendar.map(day => ({
+    coins: Number(day.coins),
+    experience: Number(day.experience || 0)
+  }));
+  
+  await query(
+    `INSERT INTO system_config (config_key, config_value, description)
+     VALUES ('daily_reward_calendar', ?, '连续签到奖励日历（JSON，第N项为连续签到第N天的奖励，超过后循环）')
+     ON DUPLICATE KEY UPDATE config_value = VALUES(config_value), updated_at = CURRENT_TIMESTAMP`,
+    [JSON.stringify(calendar)]
+  );
+  
+  clearConfigCache();
+  
+  logger.security('修改签到奖励日历', { days: calendar.length, operatorId: req.user.id, ip: req.ip });
+  await recordAuditEvent(req, 'daily_reward_calendar_updated', { userId: null, details: { calendar } });
+  
+  res.json({
+    success: true,
+    message: '签到奖励日历已更新',
+    data: {
+      calendar
+    }
+  });
+}));
+
+/**
+ * 查询审计事件（仅管理员），可按用户、事件类型和时间范围筛选
+ * GET /api/admin/audit-events
+ */
+router.get('/audit-events', allowApiKey('audit:read', ...requireAdmin), validateAuditQuery, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  
+  const { events, total } = await queryAuditEvents({
+    userId: req.query.userId,
+    type: req.query.type,
+    from: req.query.from ? new Date(req.query.from) : null,
+    to: req.query.to ? new Date(req.query.to) : null,
+    page,
+    limit
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * 核对金币和经验流水与用户余额（仅管理员），返回不一致的用户
+ * GET /api/admin/wallet/integrity
+ */
+router.get('/wallet/integrity', allowApiKey('users:read', ...requireAdmin), asyncHandler(async (req, res) => {
+  const result = await findWalletMismatches({
+    userId: req.query.userId || null,
+    limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      consistent: result.mismatches.length === 0,
+      ...result
+    }
+  });
+}));
+
+/**
+ * 获取认证用户缓存的命中统计（仅管理员）
+ * GET /api/admin/cache-stats
+ */
+router.get('/cache-stats', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      userCache: getUserCacheStats()
+    }
+  });
+});
+
+/**
+ * 获取API密钥列表（仅管理员）
+ * GET /api/admin/api-keys
+ */
+router.get('/api-keys', requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      apiKeys: await listApiKeys()
+    }
+  });
+}));
+
+/**
+ * 创建API密钥（仅管理员），密钥明文只在响应中返回一次
+ * POST /api/admin/api-keys
+ */
+router.post('/api-keys', requireAdmin, validateApiKeyCreation, asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+  
+  const { apiKey, key } = await createApiKey({
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    createdBy: req.user.id
+  });
+  
+  logger.security('API密钥已创建', { apiKeyId: apiKey.id, scopes: apiKey.scopes, operatorId: req.user.id, ip: req.ip });
+  await recordAuditEvent(req, 'api_key_created', { details: { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes } });
+  
+  res.status(201).json({
+    success: true,
+    message: 'API密钥已创建，请妥善保存，密钥不会再次显示',
+    data: {
+      apiKey,
+      key
+    }
+  });
+}));
+
+/**
+ * 吊销API密钥（仅管理员）
+ * DELETE /api/admin/api-keys/:id
+ */
+router.delete('/api-keys/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const revoked = await revokeApiKey(req.params.id);
+  
+  if (!revoked) {
+    throw new NotFoundError('API密钥不存在或已吊销');
+  }
+  
+  logger.security('API密钥已吊销', { apiKeyId: req.params.id, operatorId: req.user.id, ip: req.ip });
+  await recordAuditEvent(req, 'api_key_revoked', { details: { apiKeyId: req.params.id } });
+  
+  res.json({
+    success: true,
+    message: 'API密钥已吊销'
+  });
+}));
+
+module.exports = router;
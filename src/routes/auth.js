@@ -1,15 +1,277 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const { randomUUID } = require('crypto');
-const uuidv4 = randomUUID;
+const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { query, transaction } = require('../config/database');
-const { generateToken, authenticateToken } = require('../middleware/auth');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  generateToken,
+  generateChallengeToken,
+  consumeChallengeToken,
+  authenticateToken,
+  revokeToken,
+  invalidateUserTokens,
+  requireRegisteredUser
+} = require('../middleware/auth');
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateChangePassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateTwoFactorVerify,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
+const { asyncHandler, AppError, NotFoundError } = require('../middleware/errorHandler');
+const { issueRefreshToken, rotateRefreshToken } = require('../utils/refreshTokens');
+const {
+  getClientMeta,
+  createSession,
+  extendSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { createAccount, propagateUsername, isUsernameReserved } = require('../utils/accounts');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../utils/loginProtection');
+const {
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  countRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+const { generateOpaqueToken, hashToken } = require('../utils/tokenUtils');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHash');
+const { sendMail } = require('../utils/mailer');
+const { recordAuditEvent } = require('../utils/audit');
+const { invalidateUser } = require('../utils/userCache');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 24;
+
+/**
+ * 发送邮件类接口的限流，防止被用来批量发送邮件
+ */
+const createMailLimiter = () => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: '请求过于频繁，请稍后再试',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const forgotPasswordLimiter = createMailLimiter();
+const verificationMailLimiter = createMailLimiter();
+
+// 游客账号创建限流，防止批量创建账号
+const guestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.GUEST_RATE_LIMIT_PER_HOUR) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: '请求过于频繁，请稍后再试',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+/**
+ * 创建登录会话并签发访问令牌和刷新令牌
+ */
+const issueAuthTokens = async (userId, req, role = 'player') => {
+  const meta = getClientMeta(req);
+  // 新的刷新令牌族对应一个新的登录会话
+  const refresh = await issueRefreshToken(userId, meta);
+  await createSession(refresh.familyId, userId, meta, refresh.expiresAt);
+  const token = generateToken(userId, refresh.familyId, role);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    expiresIn: exp - iat,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+};
+
+/**
+ * 生成邮箱验证令牌并发送验证邮件
+ * 新令牌生成后，该用户之前未使用的验证令牌全部作废
+ */
+const sendVerificationMail = async (userId, username, email) => {
+  const token = generateOpaqueToken(32);
+  
+  await transaction(async (connection) => {
+    await connection.execute(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    
+    await connection.execute(
+      `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR))`,
+      [userId, email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+    );
+  });
+  
+  const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'http://localhost:5173/verify-email'}?token=${encodeURIComponent(token)}`;
+  
+  await sendMail({
+    to: email,
+    subject: '拼图大师 - 验证邮箱',
+    text: [
+      `${username}，你好：`,
+      '',
+      '请打开以下链接验证你的拼图大师账号邮箱：',
+      verifyUrl,
+      '',
+      `该链接将在${EMAIL_VERIFICATION_TTL_HOURS}小时后失效。`,
+      '如果你没有注册拼图大师账号，请忽略此邮件。'
+    ].join('\n')
+  });
+};
+
+/**
+ * 登录成功后按当前的哈希配置重新计算密码哈希，失败不影响登录
+ * 只在哈希未被并发修改（如同时重置密码）时更新
+ */
+const upgradePasswordHash = async (userId, password, oldHash) => {
+  try {
+    await query(
+      'UPDATE users SET password_hash = ? WHERE id = ? AND password_hash = ?',
+      [await hashPassword(password), userId, oldHash]
+    );
+  } catch (error) {
+    logger.warn('更新密码哈希失败:', { userId, error: error.message });
+  }
+};
+
+/**
+ * 返回登录被拒绝的响应（账号锁定或尝试过于频繁）
+ */
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  
+  return res.status(block.status).json({
+    success: false,
+    error: block.error,
+    code: block.code,
+    retryAfter: block.retryAfter
+  });
+};
+
+/**
+ * 完成登录：更新登录时间，签发令牌并返回用户信息
+ */
+const sendLoginSuccess = async (req, res, user, extraData = {}) => {
+  // 更新最后登录时间
+  await query(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
+  );
+  
+  // 签发访问令牌和刷新令牌
+  const tokens = await issueAuthTokens(user.id, req, user.role);
+  
+  await recordAuditEvent(req, 'login_success', {
+    userId: user.id,
+    details: extraData.recoveryCodesRemaining !== undefined ? { method: 'recovery_code' } : null
+  });
+  
+  logger.info(`用户登录成功: ${user.username} (${user.id})`);
+  
+  res.json({
+    success: true,
+    message: '登录成功',
+    data: {
+      ...tokens,
+      ...extraData,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.email_verified_at !== null,
+        isGuest: Boolean(user.is_guest),
+        role: user.role,
+        avatar: user.avatar,
+        avatarFrame: user.avatar_frame,
+        level: user.level || 1,
+        experience: user.experience || 0,
+        coins: user.coins || 500,
+        totalScore: user.total_score || 0,
+        gamesCompleted: user.games_completed || 0,
+        totalPlayTime: user.total_play_time || 0,
+        createdAt: user.created_at,
+        lastLoginAt: new Date()
+      }
+    }
+  });
+};
+
+/**
+ * 查询账号信息（注册、游客创建和升级后返回给客户端）
+ */
+const loadAccountUser = async (userId) => {
+  const users = await query(
+    `SELECT u.id, u.username, u.email, u.email_verified_at, u.is_guest, u.role, u.avatar, u.avatar_frame, u.created_at, u.last_login_at,
+            us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
+     FROM users u 
+     LEFT JOIN user_stats us ON u.id = us.user_id 
+     WHERE u.id = ?`,
+    [userId]
+  );
+  
+  const user = users[0];
+  
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.email_verified_at !== null,
+    isGuest: Boolean(user.is_guest),
+    role: user.role,
+    avatar: user.avatar,
+    avatarFrame: user.avatar_frame,
+    level: user.level,
+    experience: user.experience,
+    coins: user.coins,
+    totalScore: user.total_score,
+    gamesCompleted: user.games_completed,
+    totalPlayTime: user.total_play_time,
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at
+  };
+};
+
+/**
+ * 新账号创建后签发令牌并返回用户信息
+ */
+const sendNewAccount = async (req, res, userId, message) => {
+  // 签发访问令牌和刷新令牌
+  const tokens = await issueAuthTokens(userId, req);
+  
+  res.status(201).json({
+    success: true,
+    message,
+    data: {
+      ...tokens,
+      user: await loadAccountUser(userId)
+    }
+  });
+};
+
 /**
  * 用户注册
  * POST /api/auth/register
@@ -17,9 +279,9 @@ const router = express.Router();
 router.post('/register', validateRegistration, asyncHandler(async (req, res) => {
   const { username, email, password } = req.body;
   
-  // 检查用户名是否已存在
+  // 检查用户名或邮箱是否已被使用（未验证的邮箱不占用）
   const existingUsers = await query(
-    'SELECT id FROM users WHERE username = ? OR email = ?',
+    'SELECT id FROM users WHERE username = ? OR verified_email = ?',
     [username, email || '']
   );
   
@@ -31,80 +293,118 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
     });
   }
   
+  if (await isUsernameReserved(username)) {
+    return res.status(409).json({
+      success: false,
+      error: '该用户名已被保留，请换一个用户名',
+      code: 'USERNAME_RESERVED'
+    });
+  }
+  
+  // 加密密码
+  const passwordHash = await hashPassword(password);
+  
   // 使用事务确保数据一致性
   const result = await transaction(async (connection) => {
-    // 加密密码
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    return createAccount(connection, { username, email: email || null, passwordHash });
+  });
+  
+  if (email) {
+    sendVerificationMail(result, username, email).catch(error => {
+      logger.error('邮箱验证邮件发送失败:', { userId: result, error: error.message });
+    });
+  }
+  
+  await recordAuditEvent(req, 'register', { userId: result, details: { username } });
+  
+  logger.info(`新用户注册成功: ${username} (${result})`);
+  
+  await sendNewAccount(req, res, result, '注册成功');
+}));
+
+/**
+ * 创建游客账号
+ * POST /api/auth/guest
+ */
+router.post('/guest', guestLimiter, asyncHandler(async (req, res) => {
+  // 游客账号没有密码，不能通过用户名密码登录，只能使用签发的令牌
+  const username = `guest_${crypto.randomBytes(5).toString('hex')}`;
+  
+  const userId = await transaction(async (connection) => {
+    return createAccount(connection, { username, passwordHash: '', isGuest: true });
+  });
+  
+  await recordAuditEvent(req, 'guest_created', { userId });
+  
+  logger.info(`游客账号创建成功: ${username} (${userId})`);
+  
+  await sendNewAccount(req, res, userId, '游客账号创建成功');
+}));
+
+/**
+ * 游客账号升级为正式账号，保留游戏记录、成就和金币
+ * POST /api/auth/upgrade
+ */
+router.post('/upgrade', authenticateToken, validateRegistration, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { username, email, password } = req.body;
+  
+  // 在事务外完成耗时的哈希计算，缩短行锁持有时间
+  const passwordHash = await hashPassword(password);
+  
+  // 锁定用户记录后再检查，并发的升级请求只有一个能成功
+  await transaction(async (connection) => {
+    const [users] = await connection.execute(
+      'SELECT is_guest FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
     
-    // 生成用户ID
-    const userId = uuidv4();
+    if (users.length === 0 || !users[0].is_guest) {
+      throw new AppError('当前账号已是正式账号', 400, 'ALREADY_REGISTERED');
+    }
     
-    // 插入用户基本信息
-    await connection.execute(
-      'INSERT INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)',
-      [userId, username, email || null, passwordHash]
+    const [existingUsers] = await connection.execute(
+      'SELECT id FROM users WHERE (username = ? OR verified_email = ?) AND id <> ?',
+      [username, email || '', userId]
     );
     
-    // 插入用户统计数据
-    await connection.execute(
-      'INSERT INTO user_stats (user_id) VALUES (?)',
-      [userId]
-    );
+    if (existingUsers.length > 0) {
+      throw new AppError('用户名或邮箱已被使用', 409, 'USER_ALREADY_EXISTS');
+    }
     
-    // 插入初始拥有物品
-    const initialItems = [
-      ['avatar', 'avatar_cat'],
-      ['avatar_frame', 'decoration_frame']
-    ];
+    if (await isUsernameReserved(username, userId, connection)) {
+      throw new AppError('该用户名已被保留，请换一个用户名', 409, 'USERNAME_RESERVED');
+    }
     
-    for (const [itemType, itemId] of initialItems) {
-      await connection.execute(
-        'INSERT INTO user_owned_items (user_id, item_type, item_id) VALUES (?, ?, ?)',
-        [userId, itemType, itemId]
-      );
+    const [result] = await connection.execute(
+      'UPDATE users SET username = ?, email = ?, password_hash = ?, is_guest = FALSE WHERE id = ? AND is_guest = TRUE',
+      [username, email || null, passwordHash, userId]
+    );
+    
+    if (result.affectedRows !== 1) {
+      throw new AppError('当前账号已是正式账号', 409, 'ALREADY_REGISTERED');
     }
     
-    return userId;
+    await propagateUsername(connection, userId, username);
   });
   
-  // 生成JWT token
-  const token = generateToken(result);
+  if (email) {
+    sendVerificationMail(userId, username, email).catch(error => {
+      logger.error('邮箱验证邮件发送失败:', { userId, error: error.message });
+    });
+  }
   
-  // 获取完整用户信息
-  const users = await query(
-    `SELECT u.id, u.username, u.email, u.avatar, u.avatar_frame, u.created_at, u.last_login_at,
-            us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
-     FROM users u 
-     LEFT JOIN user_stats us ON u.id = us.user_id 
-     WHERE u.id = ?`,
-    [result]
-  );
+  invalidateUser(userId);
   
-  const user = users[0];
+  await recordAuditEvent(req, 'account_upgraded', { details: { username } });
   
-  logger.info(`新用户注册成功: ${username} (${result})`);
+  logger.info(`游客账号升级成功: ${req.user.username} -> ${username} (${userId})`);
   
-  res.status(201).json({
+  res.json({
     success: true,
-    message: '注册成功',
+    message: '账号升级成功',
     data: {
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        avatarFrame: user.avatar_frame,
-        level: user.level,
-        experience: user.experience,
-        coins: user.coins,
-        totalScore: user.total_score,
-        gamesCompleted: user.games_completed,
-        totalPlayTime: user.total_play_time,
-        createdAt: user.created_at,
-        lastLoginAt: user.last_login_at
-      }
+      user: await loadAccountUser(userId)
     }
   });
 }));
@@ -114,31 +414,45 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
  * POST /api/auth/login
  */
 router.post('/login', validateLogin, asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+  const { identifier, password } = req.body;
   
-  // 查询用户信息
+  // 按用户名或已验证的邮箱查询用户（邮箱形式的标识已由验证中间件按注册时的规则规范化）
   const users = await query(
     `SELECT u.*, us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
      FROM users u 
      LEFT JOIN user_stats us ON u.id = us.user_id 
-     WHERE u.username = ? AND u.is_active = TRUE`,
-    [username]
+     WHERE (u.username = ? OR u.verified_email = ?) AND u.is_active = TRUE AND u.is_guest = FALSE`,
+    [identifier, identifier]
   );
   
-  if (users.length === 0) {
-    return res.status(401).json({
-      success: false,
-      error: '用户名或密码错误',
-      code: 'INVALID_CREDENTIALS'
-    });
-  }
+  const user = users[0] || null;
   
-  const user = users[0];
+  // 检查账号锁定、递增等待时间和IP限制
+  const block = await checkLoginAllowed(user ? user.id : null, identifier, req.ip);
+  
+  if (block) {
+    return sendLoginBlocked(res, block);
+  }
   
-  // 验证密码
-  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  // 账号不存在时仍计算一次哈希，使响应时间与密码错误时一致
+  const isPasswordValid = await verifyPassword(password, user ? user.password_hash : null);
   
   if (!isPasswordValid) {
+    const lockout = await recordLoginFailure(user ? user.id : null, identifier, req.ip);
+    
+    await recordAuditEvent(req, 'login_failure', {
+      userId: user ? user.id : null,
+      details: { identifier, reason: 'invalid_password' }
+    });
+    
+    if (lockout) {
+      await recordAuditEvent(req, 'account_locked', {
+        userId: user ? user.id : null,
+        details: { identifier, retryAfter: lockout.retryAfter }
+      });
+      return sendLoginBlocked(res, lockout);
+    }
+    
     return res.status(401).json({
       success: false,
       error: '用户名或密码错误',
@@ -146,38 +460,55 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
     });
   }
   
-  // 更新最后登录时间
-  await query(
-    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [user.id]
-  );
+  if (needsRehash(user.password_hash)) {
+    await upgradePasswordHash(user.id, password, user.password_hash);
+  }
+  
+  // 启用了两步验证的账号先返回登录挑战令牌，验证码通过后才创建会话
+  if (await isTwoFactorEnabled(user.id)) {
+    const challengeToken = generateChallengeToken(user.id);
+    const { iat, exp } = jwt.decode(challengeToken);
+    
+    return res.json({
+      success: true,
+      message: '请输入两步验证码',
+      data: {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: exp - iat
+      }
+    });
+  }
+  
+  await clearLoginFailures(user.id);
+  
+  await sendLoginSuccess(req, res, user);
+}));
+
+/**
+ * 刷新访问令牌（刷新令牌每次使用后轮换）
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', validateRefreshToken, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  const meta = getClientMeta(req);
+  const rotated = await rotateRefreshToken(refreshToken, meta);
   
-  // 生成JWT token
-  const token = generateToken(user.id);
+  // 刷新令牌族ID即登录会话ID
+  await extendSession(rotated.familyId, rotated.userId, meta, rotated.expiresAt);
   
-  logger.info(`用户登录成功: ${username} (${user.id})`);
-  logger.info(`生成Token: userId=${user.id}, token前10个字符=${token.substring(0, 10)}...`);
+  const token = generateToken(rotated.userId, rotated.familyId, rotated.role);
+  const { iat, exp } = jwt.decode(token);
   
   res.json({
     success: true,
-    message: '登录成功',
+    message: '令牌刷新成功',
     data: {
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        avatarFrame: user.avatar_frame,
-        level: user.level || 1,
-        experience: user.experience || 0,
-        coins: user.coins || 500,
-        totalScore: user.total_score || 0,
-        gamesCompleted: user.games_completed || 0,
-        totalPlayTime: user.total_play_time || 0,
-        createdAt: user.created_at,
-        lastLoginAt: new Date()
-      }
+      expiresIn: exp - iat,
+      refreshToken: rotated.token,
+      refreshTokenExpiresAt: rotated.expiresAt
     }
   });
 }));
@@ -191,7 +522,7 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   
   // 获取完整用户信息，包括拥有的物品
   const users = await query(
-    `SELECT u.id, u.username, u.email, u.avatar, u.avatar_frame, u.created_at, u.last_login_at,
+    `SELECT u.id, u.username, u.email, u.email_verified_at, u.is_guest, u.role, u.avatar, u.avatar_frame, u.created_at, u.last_login_at,
             us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
      FROM users u 
      LEFT JOIN user_stats us ON u.id = us.user_id 
@@ -240,6 +571,9 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        emailVerified: user.email_verified_at !== null,
+        isGuest: Boolean(user.is_guest),
+        role: user.role,
         avatar: user.avatar,
         avatarFrame: user.avatar_frame,
         level: user.level || 1,
@@ -263,8 +597,15 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
  * POST /api/auth/logout
  */
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
-  // 在实际应用中，可以将token加入黑名单
-  // 这里简单返回成功响应
+  // 吊销当前访问令牌，令牌在过期前都无法再使用
+  await revokeToken(req.tokenPayload);
+  
+  // 结束本次登录会话，会话的刷新令牌一并吊销
+  if (req.tokenPayload.sid) {
+    await revokeSession(req.user.id, req.tokenPayload.sid);
+  }
+  
+  await recordAuditEvent(req, 'logout');
   
   logger.info(`用户登出: ${req.user.username} (${req.user.id})`);
   
@@ -274,30 +615,79 @@ router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * 获取当前用户的登录会话列表
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user.id);
+  const currentSessionId = req.tokenPayload.sid || null;
+  
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session.id,
+        client: session.client,
+        ip: session.ip,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        current: session.id === currentSessionId
+      }))
+    }
+  });
+}));
+
+/**
+ * 退出除当前会话外的所有登录会话
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllSessions(req.user.id, req.tokenPayload.sid || null);
+  
+  await recordAuditEvent(req, 'session_revoked', { details: { scope: 'others', count: revokedCount } });
+  
+  logger.info(`用户退出其他会话: ${req.user.username} (${req.user.id}) - ${revokedCount}个会话`);
+  
+  res.json({
+    success: true,
+    message: '已退出其他所有设备',
+    data: {
+      revokedCount
+    }
+  });
+}));
+
+/**
+ * 退出指定的登录会话
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeSession(req.user.id, req.params.id);
+  
+  if (!revoked) {
+    throw new NotFoundError('会话不存在或已失效');
+  }
+  
+  await recordAuditEvent(req, 'session_revoked', { details: { sessionId: req.params.id } });
+  
+  logger.info(`用户退出会话: ${req.user.username} (${req.user.id}) - 会话ID: ${req.params.id}`);
+  
+  res.json({
+    success: true,
+    message: '会话已退出'
+  });
+}));
+
 /**
  * 修改密码
  * POST /api/auth/change-password
  */
-router.post('/change-password', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/change-password', authenticateToken, requireRegisteredUser, validateChangePassword, asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
   const userId = req.user.id;
   
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({
-      success: false,
-      error: '当前密码和新密码都不能为空',
-      code: 'MISSING_PASSWORDS'
-    });
-  }
-  
-  if (newPassword.length < 6) {
-    return res.status(400).json({
-      success: false,
-      error: '新密码长度至少6个字符',
-      code: 'PASSWORD_TOO_SHORT'
-    });
-  }
-  
   // 获取用户当前密码
   const users = await query(
     'SELECT password_hash FROM users WHERE id = ?',
@@ -313,7 +703,7 @@ router.post('/change-password', authenticateToken, asyncHandler(async (req, res)
   }
   
   // 验证当前密码
-  const isCurrentPasswordValid = await bcrypt.compare(currentPassword, users[0].password_hash);
+  const isCurrentPasswordValid = await verifyPassword(currentPassword, users[0].password_hash);
   
   if (!isCurrentPasswordValid) {
     return res.status(401).json({
@@ -324,20 +714,482 @@ router.post('/change-password', authenticateToken, asyncHandler(async (req, res)
   }
   
   // 加密新密码
-  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-  const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+  const newPasswordHash = await hashPassword(newPassword);
   
-  // 更新密码
-  await query(
-    'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [newPasswordHash, userId]
-  );
+  // 更新密码，并使此前签发的所有令牌失效
+  await transaction(async (connection) => {
+    await connection.execute(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [newPasswordHash, userId]
+    );
+    
+    await invalidateUserTokens(userId, connection);
+  });
+  
+  // 为当前客户端签发新令牌，其余已登录的设备需要重新登录
+  const tokens = await issueAuthTokens(userId, req, req.user.role);
+  
+  await recordAuditEvent(req, 'password_changed');
   
   logger.info(`用户修改密码成功: ${req.user.username} (${userId})`);
   
   res.json({
     success: true,
-    message: '密码修改成功'
+    message: '密码修改成功',
+    data: tokens
+  });
+}));
+
+/**
+ * 发送密码重置邮件
+ */
+const sendPasswordResetMail = (user, token) => {
+  const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'}?token=${encodeURIComponent(token)}`;
+  
+  return sendMail({
+    to: user.email,
+    subject: '拼图大师 - 重置密码',
+    text: [
+      `${user.username}，你好：`,
+      '',
+      '我们收到了重置你的拼图大师账号密码的请求。请打开以下链接设置新密码：',
+      resetUrl,
+      '',
+      `该链接将在${PASSWORD_RESET_TTL_MINUTES}分钟后失效，且只能使用一次。`,
+      '如果这不是你本人的操作，请忽略此邮件，你的密码不会被修改。'
+    ].join('\n')
+  });
+};
+
+/**
+ * 忘记密码，发送重置邮件
+ * POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', forgotPasswordLimiter, validateForgotPassword, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  
+  // 只向已验证的邮箱发送重置邮件
+  const users = await query(
+    'SELECT id, username, email FROM users WHERE verified_email = ? AND is_active = TRUE',
+    [email]
+  );
+  
+  if (users.length > 0) {
+    const user = users[0];
+    const token = generateOpaqueToken(32);
+    
+    await transaction(async (connection) => {
+      // 新的重置请求使之前未使用的重置令牌作废
+      await connection.execute(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+      );
+      
+      await connection.execute(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, request_ip)
+         VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE), ?)`,
+        [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES, req.ip]
+      );
+    });
+    
+    // 不等待邮件发送完成，避免响应时间暴露该邮箱是否已注册
+    sendPasswordResetMail(user, token).catch(error => {
+      logger.error('密码重置邮件发送失败:', { userId: user.id, error: error.message });
+    });
+    
+    await recordAuditEvent(req, 'password_reset_requested', { userId: user.id });
+    
+    logger.info(`用户申请重置密码: ${user.username} (${user.id})`);
+  }
+  
+  // 无论邮箱是否注册都返回相同的响应
+  res.json({
+    success: true,
+    message: '如果该邮箱已注册，我们已向其发送密码重置邮件'
+  });
+}));
+
+/**
+ * 使用重置令牌设置新密码
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', validateResetPassword, asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  
+  // 在事务外完成耗时的哈希计算，缩短行锁持有时间
+  const newPasswordHash = await hashPassword(newPassword);
+  
+  const userId = await transaction(async (connection) => {
+    const [tokens] = await connection.execute(
+      `SELECT prt.user_id
+       FROM password_reset_tokens prt
+       JOIN users u ON prt.user_id = u.id
+       WHERE prt.token_hash = ? AND prt.used_at IS NULL
+         AND prt.expires_at > CURRENT_TIMESTAMP AND u.is_active = TRUE
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    
+    if (tokens.length === 0) {
+      return null;
+    }
+    
+    const targetUserId = tokens[0].user_id;
+    
+    // 令牌只能使用一次，同时作废该用户的其他重置令牌
+    await connection.execute(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [targetUserId]
+    );
+    
+    // 通过邮箱证明了账号归属，同时解除登录失败导致的锁定
+    await connection.execute(
+      'UPDATE users SET password_hash = ?, locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [newPasswordHash, targetUserId]
+    );
+    
+    // 重置密码后所有设备都需要重新登录
+    await invalidateUserTokens(targetUserId, connection);
+    
+    return targetUserId;
+  });
+  
+  if (!userId) {
+    return res.status(400).json({
+      success: false,
+      error: '重置链接无效或已过期',
+      code: 'INVALID_RESET_TOKEN'
+    });
+  }
+  
+  await recordAuditEvent(req, 'password_reset', { userId });
+  
+  logger.info(`用户通过邮件重置密码成功: ${userId}`);
+  
+  res.json({
+    success: true,
+    message: '密码重置成功，请使用新密码登录'
+  });
+}));
+
+/**
+ * 重新发送邮箱验证邮件
+ * POST /api/auth/verify-email/resend
+ */
+router.post('/verify-email/resend', authenticateToken, requireRegisteredUser, verificationMailLimiter, asyncHandler(async (req, res) => {
+  const users = await query(
+    'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+    [req.user.id]
+  );
+  
+  const user = users[0];
+  
+  if (!user.email) {
+    return res.status(400).json({
+      success: false,
+      error: '账号未设置邮箱',
+      code: 'EMAIL_NOT_SET'
+    });
+  }
+  
+  if (user.email_verified_at) {
+    return res.status(400).json({
+      success: false,
+      error: '邮箱已验证',
+      code: 'EMAIL_ALREADY_VERIFIED'
+    });
+  }
+  
+  const claimedUsers = await query(
+    'SELECT id FROM users WHERE verified_email = ?',
+    [user.email]
+  );
+  
+  if (claimedUsers.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: '该邮箱已被其他账号验证使用',
+      code: 'EMAIL_IN_USE'
+    });
+  }
+  
+  await sendVerificationMail(user.id, user.username, user.email);
+  
+  res.json({
+    success: true,
+    message: '验证邮件已发送'
+  });
+}));
+
+/**
+ * 使用邮件中的令牌验证邮箱
+ * POST /api/auth/verify-email
+ */
+router.post('/verify-email', validateVerifyEmail, asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  const result = await transaction(async (connection) => {
+    // 令牌签发后邮箱被修改的，令牌不再有效
+    const [tokens] = await connection.execute(
+      `SELECT evt.user_id, evt.email
+       FROM email_verification_tokens evt
+       JOIN users u ON evt.user_id = u.id
+       WHERE evt.token_hash = ? AND evt.used_at IS NULL
+         AND evt.expires_at > CURRENT_TIMESTAMP AND u.email = evt.email AND u.is_active = TRUE
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    
+    if (tokens.length === 0) {
+      return { status: 'invalid' };
+    }
+    
+    const { user_id: userId, email } = tokens[0];
+    
+    const [claimedUsers] = await connection.execute(
+      'SELECT id FROM users WHERE verified_email = ? AND id <> ?',
+      [email, userId]
+    );
+    
+    if (claimedUsers.length > 0) {
+      return { status: 'in_use' };
+    }
+    
+    await connection.execute(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    
+    await connection.execute(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+      [userId]
+    );
+    
+    return { status: 'verified', userId };
+  });
+  
+  if (result.status === 'invalid') {
+    return res.status(400).json({
+      success: false,
+      error: '验证链接无效或已过期',
+      code: 'INVALID_VERIFICATION_TOKEN'
+    });
+  }
+  
+  if (result.status === 'in_use') {
+    return res.status(409).json({
+      success: false,
+      error: '该邮箱已被其他账号验证使用',
+      code: 'EMAIL_IN_USE'
+    });
+  }
+  
+  await recordAuditEvent(req, 'email_verified', { userId: result.userId });
+  
+  logger.info(`用户邮箱验证成功: ${result.userId}`);
+  
+  res.json({
+    success: true,
+    message: '邮箱验证成功'
+  });
+}));
+
+/**
+ * 登录第二步：提交两步验证码或恢复码
+ * POST /api/auth/2fa/verify
+ */
+router.post('/2fa/verify', validateTwoFactorVerify, asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  
+  // 挑战令牌在校验验证码之前吊销，只能使用一次
+  const challenge = await consumeChallengeToken(challengeToken);
+  
+  const users = challenge ? await query(
+    `SELECT u.*, us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
+     FROM users u 
+     LEFT JOIN user_stats us ON u.id = us.user_id 
+     WHERE u.id = ? AND u.is_active = TRUE`,
+    [challenge.userId]
+  ) : [];
+  
+  if (users.length === 0) {
+    return res.status(401).json({
+      success: false,
+      error: '两步验证已过期，请重新登录',
+      code: 'INVALID_CHALLENGE_TOKEN'
+    });
+  }
+  
+  const user = users[0];
+  
+  // 验证码错误同样计入登录失败次数
+  const block = await checkLoginAllowed(user.id, user.username, req.ip);
+  
+  if (block) {
+    return sendLoginBlocked(res, block);
+  }
+  
+  const method = await verifySecondFactor(user.id, code);
+  
+  if (!method) {
+    const lockout = await recordLoginFailure(user.id, user.username, req.ip);
+    
+    await recordAuditEvent(req, 'two_factor_failure', { userId: user.id });
+    
+    if (lockout) {
+      await recordAuditEvent(req, 'account_locked', { userId: user.id, details: { retryAfter: lockout.retryAfter } });
+      return sendLoginBlocked(res, lockout);
+    }
+    
+    // 原挑战令牌已使用，返回新的挑战令牌供重新输入验证码
+    const nextChallengeToken = generateChallengeToken(user.id);
+    const { iat, exp } = jwt.decode(nextChallengeToken);
+    
+    return res.status(401).json({
+      success: false,
+      error: '验证码错误',
+      code: 'INVALID_TWO_FACTOR_CODE',
+      data: {
+        challengeToken: nextChallengeToken,
+        expiresIn: exp - iat
+      }
+    });
+  }
+  
+  await clearLoginFailures(user.id);
+  
+  if (method === 'recovery_code') {
+    logger.security('使用恢复码完成两步验证', { userId: user.id, ip: req.ip });
+    
+    return sendLoginSuccess(req, res, user, {
+      recoveryCodesRemaining: await countRecoveryCodes(user.id)
+    });
+  }
+  
+  await sendLoginSuccess(req, res, user);
+}));
+
+/**
+ * 获取两步验证状态
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const enabled = await isTwoFactorEnabled(req.user.id);
+  
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user.id) : 0
+    }
+  });
+}));
+
+/**
+ * 开始绑定两步验证，返回密钥和身份验证器链接
+ * POST /api/auth/2fa/enroll
+ */
+router.post('/2fa/enroll', authenticateToken, requireRegisteredUser, asyncHandler(async (req, res) => {
+  if (await isTwoFactorEnabled(req.user.id)) {
+    return res.status(400).json({
+      success: false,
+      error: '两步验证已启用',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+  
+  const enrollment = await startEnrollment(req.user.id, req.user.username);
+  
+  res.json({
+    success: true,
+    message: '请使用身份验证器应用扫描并输入验证码完成绑定',
+    data: enrollment
+  });
+}));
+
+/**
+ * 确认绑定两步验证，返回一次性恢复码
+ * POST /api/auth/2fa/confirm
+ */
+router.post('/2fa/confirm', authenticateToken, requireRegisteredUser, validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  
+  if (await isTwoFactorEnabled(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: '两步验证已启用',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+  
+  const recoveryCodes = await confirmEnrollment(userId, req.body.code);
+  
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      error: '验证码错误',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+  
+  // 启用前已登录的其他设备需要重新登录并通过两步验证
+  await revokeAllSessions(userId, req.tokenPayload.sid);
+  
+  logger.security('已启用两步验证', { userId, ip: req.ip });
+  await recordAuditEvent(req, 'two_factor_enabled');
+  
+  res.json({
+    success: true,
+    message: '两步验证已启用，请妥善保存恢复码',
+    data: {
+      recoveryCodes
+    }
+  });
+}));
+
+/**
+ * 关闭两步验证（需要密码和验证码或恢复码）
+ * POST /api/auth/2fa/disable
+ */
+router.post('/2fa/disable', authenticateToken, requireRegisteredUser, validateTwoFactorDisable, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { password, code } = req.body;
+  
+  if (!(await isTwoFactorEnabled(userId))) {
+    return res.status(400).json({
+      success: false,
+      error: '两步验证未启用',
+      code: 'TWO_FACTOR_NOT_ENABLED'
+    });
+  }
+  
+  const users = await query('SELECT password_hash FROM users WHERE id = ?', [userId]);
+  const isPasswordValid = await verifyPassword(password, users[0].password_hash);
+  
+  if (!isPasswordValid) {
+    return res.status(401).json({
+      success: false,
+      error: '当前密码错误',
+      code: 'INVALID_CURRENT_PASSWORD'
+    });
+  }
+  
+  if (!(await verifySecondFactor(userId, code))) {
+    return res.status(401).json({
+      success: false,
+      error: '验证码错误',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+  
+  await disableTwoFactor(userId);
+  
+  logger.security('已关闭两步验证', { userId, ip: req.ip });
+  await recordAuditEvent(req, 'two_factor_disabled');
+  
+  res.json({
+    success: true,
+    message: '两步验证已关闭'
   });
 }));
 
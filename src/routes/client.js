@@ -0,0 +1,39 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getClientMeta } = require('../utils/sessions');
+const { getPlatformRelease, isOutdated } = require('../utils/clientRelease');
+
+const router = express.Router();
+
+/**
+ * 获取客户端更新信息（不检查客户端版本，旧版客户端也可以访问）
+ * GET /api/client/manifest
+ */
+router.get('/manifest', asyncHandler(async (req, res) => {
+  // 平台优先取查询参数，便于下载页等不带请求头的场景
+  const platform = req.query.platform && /^[a-zA-Z0-9_-]{1,30}$/.test(req.query.platform)
+    ? req.query.platform.toLowerCase()
+    : getClientMeta(req).client;
+  const version = req.get('X-Client-Version') || req.query.version;
+  
+  const release = await getPlatformRelease(platform);
+  
+  // 响应随平台和版本请求头变化，共享缓存需按这两个请求头分别缓存
+  res.set('Cache-Control', 'public, max-age=60');
+  res.vary('X-Client-Platform');
+  res.vary('X-Client-Version');
+  res.json({
+    success: true,
+    data: {
+      platform,
+      ...release,
+      ...(version && {
+        currentVersion: version,
+        updateAvailable: isOutdated(version, release.latestVersion),
+        updateRequired: isOutdated(version, release.minimumVersion)
+      })
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireRegisteredUser } = require('../middleware/auth');
+const { validateFriendRequest } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { pairKey, findFriendship, getPresence } = require('../utils/friends');
+const { isBlockedBetween } = require('../utils/blocks');
+const { getConfigNumber } = require('../utils/systemConfig');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// 好友功能只对正式账号开放，游客账号会被定期清理
+router.use(authenticateToken, requireRegisteredUser);
+
+/**
+ * 检查用户的好友数量是否已达上限
+ * @param {object} connection 事务连接
+ * @param {string[]} userIds 需要检查的用户ID
+ */
+const ensureFriendCapacity = async (connection, userIds) => {
+  const maxFriends = await getConfigNumber('friend_max_count', 200);
+
+  for (const userId of userIds) {
+    const [rows] = await connection.execute(
+      `SELECT COUNT(*) as count FROM friendships
+       WHERE (requester_id = ? OR addressee_id = ?) AND status = 'accepted'`,
+      [userId, userId]
+    );
+
+    if (rows[0].count >= maxFriends) {
+      throw new AppError(`好友数量已达上限（${maxFriends}）`, 400, 'FRIEND_LIMIT_REACHED');
+    }
+  }
+};
+
+/**
+ * 接受好友请求
+ * @param {object} connection 事务连接
+ * @param {object} friendship 待处理的好友记录
+ */
+const acceptFriendship = async (connection, friendship) => {
+  await ensureFriendCapacity(connection, [friendship.requester_id, friendship.addressee_id]);
+
+  await connection.execute(
+    "UPDATE friendships SET status = 'accepted', responded_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [friendship.id]
+  );
+};
+
+/**
+ * 获取好友列表（包含在线状态和最近活跃时间）
+ * GET /api/friends
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const friends = await query(
+    `SELECT u.username, u.avatar, u.avatar_frame, us.level, f.responded_at,
+            MAX(s.last_seen_at) as last_seen_at
+     FROM friendships f
+     JOIN users u ON u.id = IF(f.requester_id = ?, f.addressee_id, f.requester_id)
+     LEFT JOIN user_stats us ON us.user_id = u.id
+     LEFT JOIN user_sessions s ON s.user_id = u.id
+     WHERE (f.requester_id = ? OR f.addressee_id = ?) AND f.status = 'accepted' AND u.is_active = TRUE
+     GROUP BY f.id, u.id, us.level
+     ORDER BY last_seen_at DESC`,
+    [userId, userId, userId]
+  );
+
+  const formatted = friends.map(friend => ({
+    username: friend.username,
+    avatar: friend.avatar,
+    avatarFrame: friend.avatar_frame,
+    level: friend.level || 1,
+    friendsSince: friend.responded_at,
+    ...getPresence(friend.last_seen_at)
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      friends: formatted,
+      onlineCount: formatted.filter(friend => friend.isOnline).length
+    }
+  });
+}));
+
+/**
+ * 获取待处理的好友请求（收到的和发出的）
+ * GET /api/friends/requests
+ */
+router.get('/requests', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const requests = await query(
+    `SELECT f.id, f.requester_id, f.created_at, u.username, u.avatar, u.avatar_frame, us.level
+     FROM friendships f
+     JOIN users u ON u.id = IF(f.requester_id = ?, f.addressee_id, f.requester_id)
+     LEFT JOIN user_stats us ON us.user_id = u.id
+     WHERE (f.requester_id = ? OR f.addressee_id = ?) AND f.status = 'pending' AND u.is_active = TRUE
+     ORDER BY f.created_at DESC`,
+    [userId, userId, userId]
+  );
+
+  const formatRequest = (request) => ({
+    id: request.id,
+    username: request.username,
+    avatar: request.avatar,
+    avatarFrame: request.avatar_frame,
+    level: request.level || 1,
+    createdAt: request.created_at
+  });
+
+  res.json({
+    success: true,
+    data: {
+      incoming: requests.filter(request => request.requester_id !== userId).map(formatRequest),
+      outgoing: requests.filter(request => request.requester_id === userId).map(formatRequest)
+    }
+  });
+}));
+
+/**
+ * 发送好友请求
+ * 对方已经向自己发送过请求时直接成为好友
+ * POST /api/friends/requests
+ */
+router.post('/requests', validateFriendRequest, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { username } = req.body;
+
+  const targets = await query(
+    'SELECT id, username FROM users WHERE username = ? AND is_active = TRUE AND is_guest = FALSE',
+    [username]
+  );
+
+  // 存在屏蔽关系时表现为用户不存在
+  if (targets.length === 0 || await isBlockedBetween(userId, targets[0].id)) {
+    throw new AppError('用户不存在', 404, 'USER_NOT_FOUND');
+  }
+
+  const target = targets[0];
+
+  if (target.id === userId) {
+    throw new AppError('不能添加自己为好友', 400, 'CANNOT_FRIEND_SELF');
+  }
+
+  const maxPending = await getConfigNumber('friend_max_pending_requests', 20);
+  const maxIncoming = await getConfigNumber('friend_max_incoming_requests', 100);
+
+  const result = await transaction(async (connection) => {
+    const existing = await findFriendship(userId, target.id, connection);
+
+    if (existing && existing.status === 'accepted') {
+      throw new AppError('你们已经是好友', 409, 'ALREADY_FRIENDS');
+    }
+
+    if (existing && existing.requester_id === userId) {
+      throw new AppError('已经发送过好友请求，请等待对方处理', 409, 'FRIEND_REQUEST_EXISTS');
+    }
+
+    if (existing) {
+      await acceptFriendship(connection, existing);
+      return { id: existing.id, status: 'accepted' };
+    }
+
+    const [outgoing] = await connection.execute(
+      "SELECT COUNT(*) as count FROM friendships WHERE requester_id = ? AND status = 'pending'",
+      [userId]
+    );
+
+    if (outgoing[0].count >= maxPending) {
+      throw new AppError(`待处理的好友请求过多（最多${maxPending}个），请等待对方处理或取消部分请求`, 429, 'FRIEND_REQUEST_LIMIT');
+    }
+
+    const [incoming] = await connection.execute(
+      "SELECT COUNT(*) as count FROM friendships WHERE addressee_id = ? AND status = 'pending'",
+      [target.id]
+    );
+
+    if (incoming[0].count >= maxIncoming) {
+      throw new AppError('对方待处理的好友请求过多，请稍后再试', 429, 'FRIEND_REQUEST_LIMIT');
+    }
+
+    await ensureFriendCapacity(connection, [userId]);
+
+    const [insertResult] = await connection.execute(
+      'INSERT INTO friendships (requester_id, addressee_id, pair_key) VALUES (?, ?, ?)',
+      [userId, target.id, pairKey(userId, target.id)]
+    );
+
+    return { id: insertResult.insertId, status: 'pending' };
+  });
+
+  logger.info(`好友请求: ${req.user.username} -> ${target.username} (${result.status})`);
+
+  res.status(result.status === 'pending' ? 201 : 200).json({
+    success: true,
+    message: result.status === 'pending' ? '好友请求已发送' : '对方已向你发送过好友请求，你们已成为好友',
+    data: {
+      request: {
+        id: result.id,
+        username: target.username,
+        status: result.status
+      }
+    }
+  });
+}));
+
+/**
+ * 接受好友请求
+ * POST /api/friends/requests/:id/accept
+ */
+router.post('/requests/:id/accept', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  await transaction(async (connection) => {
+    const [requests] = await connection.execute(
+      "SELECT * FROM friendships WHERE id = ? AND addressee_id = ? AND status = 'pending' FOR UPDATE",
+      [req.params.id, userId]
+    );
+
+    if (requests.length === 0) {
+      throw new AppError('好友请求不存在或已处理', 404, 'FRIEND_REQUEST_NOT_FOUND');
+    }
+
+    await acceptFriendship(connection, requests[0]);
+  });
+
+  res.json({
+    success: true,
+    message: '已接受好友请求'
+  });
+}));
+
+/**
+ * 拒绝好友请求
+ * POST /api/friends/requests/:id/decline
+ */
+router.post('/requests/:id/decline', asyncHandler(async (req, res) => {
+  const result = await query(
+    "DELETE FROM friendships WHERE id = ? AND addressee_id = ? AND status = 'pending'",
+    [req.params.id, req.user.id]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('好友请求不存在或已处理', 404, 'FRIEND_REQUEST_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: '已拒绝好友请求'
+  });
+}));
+
+/**
+ * 取消自己发出的好友请求
+ * DELETE /api/friends/requests/:id
+ */
+router.delete('/requests/:id', asyncHandler(async (req, res) => {
+  const result = await query(
+    "DELETE FROM friendships WHERE id = ? AND requester_id = ? AND status = 'pending'",
+    [req.params.id, req.user.id]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('好友请求不存在或已处理', 404, 'FRIEND_REQUEST_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: '已取消好友请求'
+  });
+}));
+
+/**
+ * 删除好友
+ * DELETE /api/friends/:username
+ */
+router.delete('/:username', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const friends = await query('SELECT id FROM users WHERE username = ?', [req.params.username]);
+
+  const result = friends.length === 0 ? { affectedRows: 0 } : await query(
+    "DELETE FROM friendships WHERE pair_key = ? AND status = 'accepted'",
+    [pairKey(userId, friends[0].id)]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('该用户不是你的好友', 404, 'FRIEND_NOT_FOUND');
+  }
+
+  logger.info(`删除好友: ${req.user.username} -> ${req.params.username}`);
+
+  res.json({
+    success: true,
+    message: '已删除好友'
+  });
+}));
+
+module.exports = router;
@@ -2,15 +2,16 @@ const express = require('express');
 const { randomUUID } = require('crypto');
 const uuidv4 = randomUUID;
 const { query, transaction } = require('../config/database');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, allowApiKey } = require('../middleware/auth');
 const { validateGameCompletion, validateLeaderboardQuery, validatePagination } = require('../middleware/validation');
 const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { invalidateUser } = require('../utils/userCache');
+const { applyWalletChange } = require('../utils/wallet');
 const { 
   calculateGameRewards, 
   calculateGameScore, 
   isNewRecord, 
-  validateGameData,
-  calculateLevelFromExp
+  validateGameData
 } = require('../utils/gameUtils');
 const { logger } = require('../utils/logger');
 
@@ -82,31 +83,23 @@ router.post('/complete', authenticateToken, validateGameCompletion, asyncHandler
       );
     }
     
-    // 更新用户统计
-    const [currentStats] = await connection.execute(
-      'SELECT level, experience, coins FROM user_stats WHERE user_id = ?',
-      [userId]
-    );
-    
-    if (currentStats.length === 0) {
-      throw new Error('用户统计数据不存在');
-    }
-    
-    const stats = currentStats[0];
-    const newExperience = stats.experience + rewards.experience;
-    const newLevel = calculateLevelFromExp(newExperience);
-    const leveledUp = newLevel > stats.level;
+    // 发放金币和经验奖励
+    const wallet = await applyWalletChange(connection, userId, {
+      coins: rewards.coins,
+      experience: rewards.experience,
+      sourceType: 'game_completion',
+      sourceId: gameId
+    });
+    const leveledUp = wallet.level > wallet.oldLevel;
     
+    // 更新用户统计
     await connection.execute(
       `UPDATE user_stats SET 
-       coins = coins + ?, 
-       experience = ?, 
-       level = ?,
        total_score = total_score + ?, 
        games_completed = games_completed + 1,
        updated_at = CURRENT_TIMESTAMP 
        WHERE user_id = ?`,
-      [rewards.coins, newExperience, newLevel, score, userId]
+      [score, userId]
     );
     
     // 添加到最近游戏记录
@@ -151,12 +144,16 @@ router.post('/complete', authenticateToken, validateGameCompletion, asyncHandler
       rewards,
       newRecord,
       leveledUp,
-      oldLevel: stats.level,
-      newLevel,
+      oldLevel: wallet.oldLevel,
+      newLevel: wallet.level,
+      levelRewards: wallet.levelRewards,
       addedToLeaderboard: shouldAddToLeaderboard
     };
   });
   
+  // 统计数据已变化，清除认证中间件缓存的用户数据
+  invalidateUser(userId);
+  
   logger.info(`游戏完成记录: ${req.user.username} (${userId}) - ${gameData.difficulty} ${gameData.gridSize}, 时间:${gameData.completionTime}s, 步数:${gameData.moves}`);
   
   res.json({
@@ -172,6 +169,7 @@ router.post('/complete', authenticateToken, validateGameCompletion, asyncHandler
         oldLevel: result.oldLevel,
         newLevel: result.newLevel
       } : null,
+      levelRewards: result.levelRewards,
       addedToLeaderboard: result.addedToLeaderboard
     }
   });
@@ -247,10 +245,10 @@ router.get('/history', authenticateToken, asyncHandler(async (req, res) => {
 }));
 
 /**
- * 获取排行榜
+ * 获取排行榜，也可使用带 leaderboard:read 的API密钥访问
  * GET /api/games/leaderboard
  */
-router.get('/leaderboard', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/leaderboard', allowApiKey('leaderboard:read', optionalAuth), asyncHandler(async (req, res) => {
   const difficulty = req.query.difficulty;
   const pieceShape = req.query.pieceShape;
   const sortBy = req.query.sortBy || 'completion_time'; // completion_time, moves, score
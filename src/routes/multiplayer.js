@@ -2,7 +2,10 @@ const express = require('express');
 
 const crypto = require('crypto');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowApiKey } = require('../middleware/auth');
+const { hasBlockWithAny } = require('../utils/blocks');
+const { issueRewardVoucher } = require('../utils/rewardVouchers');
+const { getConfigNumber } = require('../utils/systemConfig');
 const { body, param, validationResult } = require('express-validator');
 const { logger } = require('../utils/logger');
 
@@ -169,6 +172,19 @@ router.post('/rooms/join', authenticateToken, [
 
     const room = rooms[0];
 
+    // 房主或房间内的玩家与当前用户存在屏蔽关系时，表现为房间不存在
+    const roomPlayers = await query(
+      'SELECT user_id FROM room_players WHERE room_id = ?',
+      [room.id]
+    );
+    const roomUserIds = [room.host_user_id, ...roomPlayers.map(player => player.user_id)];
+
+    if (await hasBlockWithAny(userId, roomUserIds)) {
+      return res.status(404).json({
+        error: 'Room not found or not available'
+      });
+    }
+
     // 检查房间是否已满
     if (room.current_players >= room.max_players) {
       return res.status(400).json({
@@ -285,10 +301,10 @@ const getRoomInfo = async (roomId) => {
 };
 
 /**
- * 获取房间信息
+ * 获取房间信息，也可使用带 multiplayer:read 的API密钥访问
  * GET /api/multiplayer/rooms/:roomCode
  */
-router.get('/rooms/:roomCode', authenticateToken, async (req, res) => {
+router.get('/rooms/:roomCode', allowApiKey('multiplayer:read', authenticateToken), async (req, res) => {
   try {
     const { roomCode } = req.params;
 
@@ -438,10 +454,10 @@ router.post('/rooms/:roomCode/start', authenticateToken, async (req, res) => {
       });
     }
 
-    // 开始游戏
+    // 开始游戏，每局生成新的对局ID
     await query(
-      'UPDATE multiplayer_rooms SET status = "playing", game_started_at = NOW() WHERE id = ?',
-      [room.id]
+      'UPDATE multiplayer_rooms SET status = "playing", current_game_id = ?, game_started_at = NOW() WHERE id = ?',
+      [generateUUID(), room.id]
     );
 
     // 更新所有玩家状态为游戏中
@@ -507,13 +523,14 @@ router.post('/rooms/:roomCode/finish', authenticateToken, [
 
     const room = rooms[0];
 
-    // 更新玩家完成状态
-    await query(
+    // 更新玩家完成状态，已完成的玩家不会再次更新，并发的重复提交只有一个能成功
+    const finishResult = await query(
       `UPDATE room_players 
        SET player_status = "finished", completion_time = ?, moves_count = ?, finished_at = NOW() 
-       WHERE room_id = ? AND user_id = ?`,
+       WHERE room_id = ? AND user_id = ? AND player_status <> "finished"`,
       [completionTime, movesCount, room.id, userId]
     );
+    const firstFinish = finishResult.affectedRows === 1;
 
     // 检查是否所有玩家都已完成
     const playersResult = await query(
@@ -547,7 +564,7 @@ router.post('/rooms/:roomCode/finish', authenticateToken, [
       );
 
       // 创建游戏记录
-      const gameRecordId = generateUUID();
+      const gameRecordId = room.current_game_id || generateUUID();
       const winnerResult = await query(
         'SELECT user_id FROM room_players WHERE room_id = ? ORDER BY completion_time ASC, moves_count ASC, finished_at ASC LIMIT 1',
         [room.id]
@@ -570,6 +587,15 @@ router.post('/rooms/:roomCode/finish', authenticateToken, [
 
     const roomInfo = await getRoomInfo(room.id);
 
+    // 完成联机对战的奖励通过凭证发放，客户端调用 POST /api/users/rewards 领取；
+    // 凭证以本局的对局ID为来源，每局每个玩家只能领取一次
+    const rewardVoucher = firstFinish && room.current_game_id ? issueRewardVoucher(userId, {
+      coins: await getConfigNumber('multiplayer_finish_reward_coins', 20),
+      experience: await getConfigNumber('multiplayer_finish_reward_experience', 10),
+      source: 'multiplayer_finish',
+      sourceId: room.current_game_id
+    }) : null;
+
     logger.info(`用户 ${req.user.username} 在房间 ${roomCode} 完成了游戏，用时 ${completionTime}秒，移动 ${movesCount}次`);
 
     res.json({
@@ -577,7 +603,8 @@ router.post('/rooms/:roomCode/finish', authenticateToken, [
       message: 'Game completion recorded',
       data: {
         gameEnded,
-        room: roomInfo
+        room: roomInfo,
+        rewardVoucher
       }
     });
 
@@ -627,7 +654,7 @@ router.post('/rooms/:roomCode/reset', authenticateToken, async (req, res) => {
 
     // 重置房间状态
     await query(
-      'UPDATE multiplayer_rooms SET status = "waiting", game_started_at = NULL, game_finished_at = NULL WHERE id = ?',
+      'UPDATE multiplayer_rooms SET status = "waiting", current_game_id = NULL, game_started_at = NULL, game_finished_at = NULL WHERE id = ?',
       [room.id]
     );
 
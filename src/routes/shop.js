@@ -0,0 +1,48 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { validateShopQuery } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AVAILABLE_CONDITION, formatShopItem } = require('../utils/shop');
+
+const router = express.Router();
+
+/**
+ * 获取商店中可购买的物品，包含当前用户是否已拥有
+ * GET /api/shop
+ */
+router.get('/', authenticateToken, validateShopQuery, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { type } = req.query;
+
+  const conditions = [AVAILABLE_CONDITION];
+  const params = [userId];
+
+  if (type) {
+    conditions.push('si.item_type = ?');
+    params.push(type);
+  }
+
+  const items = await query(
+    `SELECT si.*, uoi.acquired_at
+     FROM shop_items si
+     LEFT JOIN user_owned_items uoi
+       ON uoi.user_id = ? AND uoi.item_type = si.item_type AND uoi.item_id = si.item_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY si.item_type, si.sort_order, si.price`,
+    params
+  );
+
+  res.json({
+    success: true,
+    data: {
+      items: items.map(item => ({
+        ...formatShopItem(item),
+        owned: item.acquired_at !== null,
+        meetsLevelRequirement: req.user.level >= item.required_level
+      }))
+    }
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,21 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { validateUserUpdate, validateRewardsUpdate } = require('../middleware/validation');
-const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
-const { calculateLevelFromExp, getLevelProgress } = require('../utils/gameUtils');
+const { authenticateToken, optionalAuth, requireRegisteredUser } = require('../middleware/auth');
+const { validateUserUpdate, validateRewardsUpdate, validateUsernameChange, validateBlockUser, validateWalletHistoryQuery } = require('../middleware/validation');
+const { asyncHandler, AppError, NotFoundError } = require('../middleware/errorHandler');
+const { propagateUsername, isUsernameReserved } = require('../utils/accounts');
+const { getConfigNumber } = require('../utils/systemConfig');
+const { recordAuditEvent, queryAuditEvents } = require('../utils/audit');
+const { invalidateUser } = require('../utils/userCache');
+const { canViewProfile, buildPublicProfile } = require('../utils/profiles');
+const { isBlockedBetween } = require('../utils/blocks');
+const { pairKey } = require('../utils/friends');
+const { ITEM_TYPES, AVAILABLE_CONDITION } = require('../utils/shop');
+const { applyWalletChange, queryWalletLedger } = require('../utils/wallet');
+const { verifyRewardVoucher, markVoucherRedeemed } = require('../utils/rewardVouchers');
+const { getLocalDate, getRewardCalendar, getRewardForStreak, getClaimState, getDefaultTimezone } = require('../utils/dailyRewards');
+const { getLevelProgress } = require('../utils/gameUtils');
+const { getLevelCurve } = require('../utils/levels');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -17,7 +29,7 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   
   // 获取用户详细信息
   const users = await query(
-    `SELECT u.id, u.username, u.email, u.avatar, u.avatar_frame, u.created_at, u.last_login_at,
+    `SELECT u.id, u.username, u.email, u.avatar, u.avatar_frame, u.profile_visibility, u.timezone, u.created_at, u.last_login_at,
             us.level, us.experience, us.coins, us.total_score, us.games_completed, us.total_play_time
      FROM users u 
      LEFT JOIN user_stats us ON u.id = us.user_id 
@@ -32,7 +44,7 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   const user = users[0];
   
   // 获取等级进度信息
-  const levelProgress = getLevelProgress(user.level, user.experience);
+  const levelProgress = getLevelProgress(user.level, user.experience, await getLevelCurve());
   
   res.json({
     success: true,
@@ -43,6 +55,8 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
         email: user.email,
         avatar: user.avatar,
         avatarFrame: user.avatar_frame,
+        profileVisibility: user.profile_visibility,
+        timezone: user.timezone,
         level: user.level || 1,
         experience: user.experience || 0,
         coins: user.coins || 500,
@@ -63,7 +77,7 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
  */
 router.put('/profile', authenticateToken, validateUserUpdate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { avatar, avatarFrame } = req.body;
+  const { avatar, avatarFrame, profileVisibility, timezone } = req.body;
   
   const updateFields = [];
   const updateValues = [];
@@ -78,6 +92,16 @@ router.put('/profile', authenticateToken, validateUserUpdate, asyncHandler(async
     updateValues.push(avatarFrame);
   }
   
+  if (profileVisibility !== undefined) {
+    updateFields.push('profile_visibility = ?');
+    updateValues.push(profileVisibility);
+  }
+  
+  if (timezone !== undefined) {
+    updateFields.push('timezone = ?');
+    updateValues.push(timezone);
+  }
+  
   if (updateFields.length === 0) {
     return res.status(400).json({
       success: false,
@@ -94,6 +118,8 @@ router.put('/profile', authenticateToken, validateUserUpdate, asyncHandler(async
     updateValues
   );
   
+  invalidateUser(userId);
+  
   logger.info(`用户更新个人资料: ${req.user.username} (${userId})`);
   
   res.json({
@@ -102,6 +128,401 @@ router.put('/profile', authenticateToken, validateUserUpdate, asyncHandler(async
   });
 }));
 
+/**
+ * 修改用户名
+ * 消耗金币并有冷却时间，旧用户名在保留期内不能被其他用户使用
+ * PUT /api/users/username
+ */
+router.put('/username', authenticateToken, requireRegisteredUser, validateUsernameChange, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { username } = req.body;
+  
+  const cost = await getConfigNumber('username_change_cost', 500);
+  const cooldownDays = await getConfigNumber('username_change_cooldown_days', 30);
+  const reservationDays = await getConfigNumber('username_reservation_days', 90);
+  
+  if (await isUsernameReserved(username, userId)) {
+    return res.status(409).json({
+      success: false,
+      error: '该用户名已被保留，请换一个用户名',
+      code: 'USERNAME_RESERVED'
+    });
+  }
+  
+  const result = await transaction(async (connection) => {
+    // 锁定用户记录，防止并发修改绕过冷却时间
+    const [users] = await connection.execute(
+      'SELECT username FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    const oldUsername = users[0].username;
+    
+    if (oldUsername === username) {
+      throw new AppError('新用户名与当前用户名相同', 400, 'USERNAME_UNCHANGED');
+    }
+    
+    const [recentChanges] = await connection.execute(
+      `SELECT DATE_ADD(MAX(changed_at), INTERVAL ? DAY) as next_change_at
+       FROM username_history WHERE user_id = ?
+       HAVING next_change_at > CURRENT_TIMESTAMP`,
+      [cooldownDays, userId]
+    );
+    
+    if (recentChanges.length > 0) {
+      const error = new AppError('修改用户名过于频繁，请稍后再试', 429, 'USERNAME_CHANGE_COOLDOWN');
+      error.details = { nextChangeAt: recentChanges[0].next_change_at };
+      throw error;
+    }
+    
+    // 用户名唯一性比较不区分大小写，只修改大小写时会匹配到自己
+    const [existingUsers] = await connection.execute(
+      'SELECT id FROM users WHERE username = ? AND id <> ?',
+      [username, userId]
+    );
+    
+    if (existingUsers.length > 0) {
+      throw new AppError('用户名已被使用', 409, 'USER_ALREADY_EXISTS');
+    }
+    
+    if (cost > 0) {
+      await applyWalletChange(connection, userId, {
+        coins: -cost,
+        sourceType: 'username_change',
+        insufficientMessage: `金币不足，修改用户名需要${cost}金币`
+      });
+    }
+    
+    await connection.execute(
+      'UPDATE users SET username = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [username, userId]
+    );
+    
+    await propagateUsername(connection, userId, username);
+    
+    await connection.execute(
+      `INSERT INTO username_history (user_id, old_username, new_username, reserved_until)
+       VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))`,
+      [userId, oldUsername, username, reservationDays]
+    );
+    
+    return { oldUsername };
+  });
+  
+  invalidateUser(userId);
+  
+  await recordAuditEvent(req, 'username_changed', {
+    details: { oldUsername: result.oldUsername, newUsername: username, cost }
+  });
+  
+  logger.info(`用户修改用户名: ${result.oldUsername} -> ${username} (${userId})`);
+  
+  res.json({
+    success: true,
+    message: '用户名修改成功',
+    data: {
+      username,
+      previousUsername: result.oldUsername,
+      coinsSpent: cost
+    }
+  });
+}));
+
+/**
+ * 获取当前账号的安全日志（登录、修改密码等最近的账号事件）
+ * GET /api/users/security-log
+ */
+router.get('/security-log', authenticateToken, asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  
+  const { events, total } = await queryAuditEvents({ userId: req.user.id, page, limit });
+  
+  res.json({
+    success: true,
+    data: {
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        details: event.details,
+        // 由管理员或API密钥执行的操作
+        byAdministrator: event.actorType === 'api_key' || event.actorId !== req.user.id,
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * 获取金币和经验的变动记录
+ * GET /api/users/wallet/history
+ */
+router.get('/wallet/history', authenticateToken, validateWalletHistoryQuery, asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  
+  const { entries, total } = await queryWalletLedger({
+    userId: req.user.id,
+    currency: req.query.currency,
+    page,
+    limit
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * 查询用户最近一次签到记录
+ * @param {object} executor 数据库连接，未提供时使用连接池
+ */
+const findLastDailyClaim = async (userId, executor = null) => {
+  const sql = `SELECT DATE_FORMAT(claim_date, '%Y-%m-%d') as claim_date, streak, claimed_at
+               FROM daily_reward_claims WHERE user_id = ? ORDER BY claim_date DESC LIMIT 1`;
+  
+  if (executor) {
+    const [rows] = await executor.execute(sql, [userId]);
+    return rows[0] || null;
+  }
+  
+  const rows = await query(sql, [userId]);
+  return rows[0] || null;
+};
+
+/**
+ * 获取每日签到状态和奖励日历
+ * GET /api/users/daily-reward
+ */
+router.get('/daily-reward', authenticateToken, asyncHandler(async (req, res) => {
+  const timezone = req.user.timezone || await getDefaultTimezone();
+  const today = getLocalDate(timezone);
+  const calendar = await getRewardCalendar();
+  const lastClaim = await findLastDailyClaim(req.user.id);
+  const state = getClaimState(lastClaim, today);
+  
+  res.json({
+    success: true,
+    data: {
+      timezone,
+      today,
+      claimedToday: state.claimedToday,
+      streak: state.streak,
+      lastClaimedAt: lastClaim ? lastClaim.claimed_at : null,
+      nextReward: getRewardForStreak(calendar, state.nextStreak),
+      calendar
+    }
+  });
+}));
+
+/**
+ * 领取每日签到奖励，每个自然日（按用户时区）只能领取一次
+ * POST /api/users/daily-reward/claim
+ */
+router.post('/daily-reward/claim', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = req.user.timezone || await getDefaultTimezone();
+  const today = getLocalDate(timezone);
+  const calendar = await getRewardCalendar();
+  
+  const result = await transaction(async (connection) => {
+    // 先锁定用户余额，同一用户的并发签到请求按顺序处理
+    await connection.execute('SELECT user_id FROM user_stats WHERE user_id = ? FOR UPDATE', [userId]);
+    
+    const state = getClaimState(await findLastDailyClaim(userId, connection), today);
+    
+    if (state.claimedToday) {
+      throw new AppError('今天已经签到过了', 409, 'DAILY_REWARD_ALREADY_CLAIMED');
+    }
+    
+    const reward = getRewardForStreak(calendar, state.nextStreak);
+    
+    await connection.execute(
+      `INSERT INTO daily_reward_claims (user_id, claim_date, streak, coins, experience, timezone)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, today, state.nextStreak, reward.coins, reward.experience, timezone]
+    );
+    
+    const wallet = await applyWalletChange(connection, userId, {
+      coins: reward.coins,
+      experience: reward.experience,
+      sourceType: 'daily_reward',
+      sourceId: today
+    });
+    
+    return { streak: state.nextStreak, reward, wallet };
+  });
+  
+  invalidateUser(userId);
+  
+  logger.info(`用户签到: ${req.user.username} (${userId}) - 连续${result.streak}天, 金币:${result.reward.coins}, 经验:${result.reward.experience}`);
+  
+  res.json({
+    success: true,
+    message: '签到成功',
+    data: {
+      claimDate: today,
+      streak: result.streak,
+      reward: result.reward,
+      coins: result.wallet.coins,
+      experience: result.wallet.experience,
+      level: result.wallet.level,
+      leveledUp: result.wallet.level > result.wallet.oldLevel,
+      levelRewards: result.wallet.levelRewards,
+      nextReward: getRewardForStreak(calendar, result.streak + 1)
+    }
+  });
+}));
+
+/**
+ * 获取已屏蔽的玩家列表
+ * GET /api/users/blocks
+ */
+router.get('/blocks', authenticateToken, asyncHandler(async (req, res) => {
+  const blocks = await query(
+    `SELECT u.username, u.avatar, b.created_at
+     FROM user_blocks b
+     JOIN users u ON b.blocked_id = u.id
+     WHERE b.blocker_id = ?
+     ORDER BY b.created_at DESC`,
+    [req.user.id]
+  );
+  
+  res.json({
+    success: true,
+    data: {
+      blocks: blocks.map(block => ({
+        username: block.username,
+        avatar: block.avatar,
+        blockedAt: block.created_at
+      }))
+    }
+  });
+}));
+
+/**
+ * 屏蔽玩家，同时解除好友关系并删除双方之间的好友请求
+ * POST /api/users/blocks
+ */
+router.post('/blocks', authenticateToken, validateBlockUser, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { username } = req.body;
+  
+  const targets = await query(
+    'SELECT id, username FROM users WHERE username = ? AND is_active = TRUE',
+    [username]
+  );
+  
+  if (targets.length === 0) {
+    throw new AppError('用户不存在', 404, 'USER_NOT_FOUND');
+  }
+  
+  const target = targets[0];
+  
+  if (target.id === userId) {
+    throw new AppError('不能屏蔽自己', 400, 'CANNOT_BLOCK_SELF');
+  }
+  
+  await transaction(async (connection) => {
+    await connection.execute(
+      'INSERT IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)',
+      [userId, target.id]
+    );
+    
+    await connection.execute(
+      'DELETE FROM friendships WHERE pair_key = ?',
+      [pairKey(userId, target.id)]
+    );
+  });
+  
+  logger.info(`用户屏蔽玩家: ${req.user.username} -> ${target.username}`);
+  
+  res.json({
+    success: true,
+    message: '已屏蔽该玩家'
+  });
+}));
+
+/**
+ * 取消屏蔽
+ * DELETE /api/users/blocks/:username
+ */
+router.delete('/blocks/:username', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await query(
+    `DELETE b FROM user_blocks b
+     JOIN users u ON b.blocked_id = u.id
+     WHERE b.blocker_id = ? AND u.username = ?`,
+    [req.user.id, req.params.username]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw new AppError('没有屏蔽该玩家', 404, 'BLOCK_NOT_FOUND');
+  }
+  
+  res.json({
+    success: true,
+    message: '已取消屏蔽'
+  });
+}));
+
+/**
+ * 获取其他玩家的公开资料
+ * 私密资料只有本人和版主以上角色可以查看
+ * GET /api/users/:username/public
+ */
+router.get('/:username/public', optionalAuth, asyncHandler(async (req, res) => {
+  const users = await query(
+    `SELECT u.id, u.username, u.avatar, u.avatar_frame, u.profile_visibility, u.created_at,
+            us.level, us.games_completed
+     FROM users u
+     LEFT JOIN user_stats us ON u.id = us.user_id
+     WHERE u.username = ? AND u.is_active = TRUE`,
+    [req.params.username]
+  );
+  
+  if (users.length === 0) {
+    throw new NotFoundError('用户不存在');
+  }
+  
+  const owner = users[0];
+  
+  // 存在屏蔽关系时表现为用户不存在
+  if (req.user && await isBlockedBetween(req.user.id, owner.id)) {
+    throw new NotFoundError('用户不存在');
+  }
+  
+  if (!canViewProfile(owner, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: '该玩家的资料未公开',
+      code: 'PROFILE_PRIVATE'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      profile: await buildPublicProfile(owner)
+    }
+  });
+}));
+
 /**
  * 获取用户统计信息
  * GET /api/users/stats
@@ -157,7 +578,7 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
     [userId]
   );
   
-  const levelProgress = getLevelProgress(stats.level, stats.experience);
+  const levelProgress = getLevelProgress(stats.level, stats.experience, await getLevelCurve());
   
   res.json({
     success: true,
@@ -202,62 +623,54 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
 }));
 
 /**
- * 更新用户奖励（金币、经验）
+ * 兑换奖励凭证（金币、经验）
+ * 凭证由服务端在获得奖励的事件中签发，每个凭证只能兑换一次
  * POST /api/users/rewards
  */
 router.post('/rewards', authenticateToken, validateRewardsUpdate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { coins, experience } = req.body;
+  const voucher = verifyRewardVoucher(req.body.voucher, userId);
+  
+  if (!voucher) {
+    throw new AppError('奖励凭证无效或已过期', 400, 'INVALID_VOUCHER');
+  }
+  
+  const { coins, experience } = voucher;
   
   const result = await transaction(async (connection) => {
-    // 获取当前用户统计
-    const [currentStats] = await connection.execute(
-      'SELECT level, experience, coins FROM user_stats WHERE user_id = ?',
-      [userId]
-    );
-    
-    if (currentStats.length === 0) {
-      throw new NotFoundError('用户统计数据不存在');
-    }
-    
-    const stats = currentStats[0];
-    const newCoins = stats.coins + coins;
-    const newExperience = stats.experience + experience;
-    const newLevel = calculateLevelFromExp(newExperience);
-    
-    // 检查金币不能为负数
-    if (newCoins < 0) {
-      throw new Error('金币数量不能为负数');
+    if (!await markVoucherRedeemed(connection, voucher)) {
+      throw new AppError('该奖励已领取过', 409, 'VOUCHER_ALREADY_REDEEMED');
     }
     
-    // 更新用户统计
-    await connection.execute(
-      'UPDATE user_stats SET coins = ?, experience = ?, level = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
-      [newCoins, newExperience, newLevel, userId]
-    );
-    
-    const leveledUp = newLevel > stats.level;
-    const levelsGained = newLevel - stats.level;
+    const wallet = await applyWalletChange(connection, userId, {
+      coins,
+      experience,
+      sourceType: 'reward',
+      sourceId: `${voucher.source}:${voucher.sourceId}`
+    });
     
     return {
-      oldLevel: stats.level,
-      newLevel,
-      oldExperience: stats.experience,
-      newExperience,
-      oldCoins: stats.coins,
-      newCoins,
-      leveledUp,
-      levelsGained,
+      oldLevel: wallet.oldLevel,
+      newLevel: wallet.level,
+      oldExperience: wallet.oldExperience,
+      newExperience: wallet.experience,
+      oldCoins: wallet.oldCoins,
+      newCoins: wallet.coins,
+      leveledUp: wallet.level > wallet.oldLevel,
+      levelsGained: wallet.level - wallet.oldLevel,
+      levelRewards: wallet.levelRewards,
       coinsGained: coins,
       experienceGained: experience
     };
   });
   
-  logger.info(`用户奖励更新: ${req.user.username} (${userId}) - 金币:${coins}, 经验:${experience}`);
+  invalidateUser(userId);
+  
+  logger.info(`用户兑换奖励凭证: ${req.user.username} (${userId}) - ${voucher.source}, 金币:${coins}, 经验:${experience}`);
   
   res.json({
     success: true,
-    message: '奖励更新成功',
+    message: '奖励领取成功',
     data: result
   });
 }));
@@ -297,13 +710,12 @@ router.get('/owned-items', authenticateToken, asyncHandler(async (req, res) => {
 
 /**
  * 购买/解锁物品
+ * 价格、上架时间和等级要求以商店目录为准，忽略请求中的 cost
  * POST /api/users/acquire-item
  */
 router.post('/acquire-item', authenticateToken, asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { itemType, itemId, cost = 0 } = req.body;
-  
-  logger.info(`用户购买物品请求: userId=${userId}, itemType=${itemType}, itemId=${itemId}, cost=${cost}`);
+  const { itemType, itemId } = req.body;
   
   if (!itemType || !itemId) {
     return res.status(400).json({
@@ -313,7 +725,7 @@ router.post('/acquire-item', authenticateToken, asyncHandler(async (req, res) =>
     });
   }
   
-  if (!['avatar', 'avatar_frame', 'decoration', 'theme'].includes(itemType)) {
+  if (!ITEM_TYPES.includes(itemType)) {
     return res.status(400).json({
       success: false,
       error: '无效的物品类型',
@@ -322,6 +734,38 @@ router.post('/acquire-item', authenticateToken, asyncHandler(async (req, res) =>
   }
   
   const result = await transaction(async (connection) => {
+    const [items] = await connection.execute(
+      `SELECT si.*,
+              (${AVAILABLE_CONDITION}) as is_available
+       FROM shop_items si
+       WHERE si.item_type = ? AND si.item_id = ? AND si.is_active = TRUE`,
+      [itemType, itemId]
+    );
+    
+    if (items.length === 0) {
+      throw new AppError('商店中没有该物品', 404, 'ITEM_NOT_FOUND');
+    }
+    
+    const item = items[0];
+    
+    if (!item.is_available) {
+      throw new AppError('该物品当前不在售', 400, 'ITEM_NOT_AVAILABLE');
+    }
+    
+    // 锁定用户统计，防止并发购买重复扣费
+    const [userStats] = await connection.execute(
+      'SELECT level, coins FROM user_stats WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+    
+    const level = userStats[0]?.level || 1;
+    
+    if (level < item.required_level) {
+      const error = new AppError(`需要达到${item.required_level}级才能购买该物品`, 400, 'LEVEL_REQUIREMENT_NOT_MET');
+      error.details = { requiredLevel: item.required_level, currentLevel: level };
+      throw error;
+    }
+    
     // 检查用户是否已拥有该物品
     const [existingItems] = await connection.execute(
       'SELECT id FROM user_owned_items WHERE user_id = ? AND item_type = ? AND item_id = ?',
@@ -329,28 +773,16 @@ router.post('/acquire-item', authenticateToken, asyncHandler(async (req, res) =>
     );
     
     if (existingItems.length > 0) {
-      throw new Error('您已拥有该物品');
+      throw new AppError('您已拥有该物品', 409, 'ITEM_ALREADY_OWNED');
     }
     
-    // 如果有费用，检查用户金币是否足够
-    if (cost > 0) {
-      const [userStats] = await connection.execute(
-        'SELECT coins FROM user_stats WHERE user_id = ?',
-        [userId]
-      );
-      
-      logger.info(`用户金币检查: userId=${userId}, 查询到${userStats.length}条记录, 当前金币=${userStats[0]?.coins || 'N/A'}, 需要金币=${cost}`);
-      
-      if (userStats.length === 0 || userStats[0].coins < cost) {
-        logger.warn(`用户金币不足: userId=${userId}, 当前金币=${userStats[0]?.coins || 0}, 需要金币=${cost}`);
-        throw new Error('金币不足');
-      }
-      
-      // 扣除金币
-      await connection.execute(
-        'UPDATE user_stats SET coins = coins - ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
-        [cost, userId]
-      );
+    if (item.price > 0) {
+      await applyWalletChange(connection, userId, {
+        coins: -item.price,
+        sourceType: 'purchase',
+        sourceId: `${itemType}:${itemId}`,
+        insufficientMessage: `金币不足，购买该物品需要${item.price}金币`
+      });
     }
     
     // 添加物品到用户拥有列表
@@ -359,10 +791,14 @@ router.post('/acquire-item', authenticateToken, asyncHandler(async (req, res) =>
       [userId, itemType, itemId]
     );
     
-    return { itemType, itemId, cost };
+    return { itemType, itemId, cost: item.price, currency: item.currency };
   });
   
-  logger.info(`用户获得物品: ${req.user.username} (${userId}) - ${itemType}:${itemId}, 花费:${cost}`);
+  invalidateUser(userId);
+  
+  await recordAuditEvent(req, 'item_purchased', { details: { itemType, itemId, cost: result.cost } });
+  
+  logger.info(`用户获得物品: ${req.user.username} (${userId}) - ${itemType}:${itemId}, 花费:${result.cost}`);
   
   res.json({
     success: true,
@@ -387,9 +823,23 @@ router.post('/reset-progress', authenticateToken, asyncHandler(async (req, res)
   }
   
   await transaction(async (connection) => {
-    // 重置用户统计
+    // 金币和经验恢复为新账号的初始值
+    const [currentStats] = await connection.execute(
+      'SELECT coins, experience FROM user_stats WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+    
+    if (currentStats.length > 0) {
+      await applyWalletChange(connection, userId, {
+        coins: 500 - currentStats[0].coins,
+        experience: -currentStats[0].experience,
+        sourceType: 'progress_reset'
+      });
+    }
+    
+    // 重置用户统计，max_rewarded_level 保留，重新升级不再发放升级奖励
     await connection.execute(
-      'UPDATE user_stats SET level = 1, experience = 0, coins = 500, total_score = 0, games_completed = 0, total_play_time = 0 WHERE user_id = ?',
+      'UPDATE user_stats SET level = 1, total_score = 0, games_completed = 0, total_play_time = 0 WHERE user_id = ?',
       [userId]
     );
     
@@ -424,6 +874,10 @@ router.post('/reset-progress', authenticateToken, asyncHandler(async (req, res)
     );
   });
   
+  invalidateUser(userId);
+  
+  await recordAuditEvent(req, 'progress_reset');
+  
   logger.info(`用户重置进度: ${req.user.username} (${userId})`);
   
   res.json({
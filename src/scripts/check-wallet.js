@@ -0,0 +1,37 @@
+require('dotenv').config();
+const { connectDB } = require('../config/database');
+const { findWalletMismatches } = require('../utils/wallet');
+const { logger } = require('../utils/logger');
+
+/**
+ * 核对金币和经验流水与用户余额，存在不一致时以非零状态退出（可用于定时任务告警）
+ * 用法: npm run check-wallet
+ */
+const runCheckWallet = async () => {
+  try {
+    await connectDB();
+    
+    const { checkedUsers, mismatches } = await findWalletMismatches({ limit: 1000 });
+    
+    if (mismatches.length === 0) {
+      logger.info(`流水核对通过，共检查 ${checkedUsers} 个用户`);
+      process.exit(0);
+    }
+    
+    for (const mismatch of mismatches) {
+      logger.error('流水与余额不一致:', mismatch);
+    }
+    logger.error(`流水核对失败，${mismatches.length} 个用户的流水与余额不一致（共检查 ${checkedUsers} 个用户）`);
+    process.exit(1);
+  } catch (error) {
+    logger.error('流水核对失败:', error);
+    process.exit(1);
+  }
+};
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  runCheckWallet();
+}
+
+module.exports = { runCheckWallet };
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { connectDB, query } = require('../config/database');
+const { connectDB, getDB } = require('../config/database');
 const { logger } = require('../utils/logger');
 
 /**
@@ -278,9 +278,430 @@ const migrations = [
         INDEX idx_finished_at (finished_at DESC)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `
+  },
+  {
+    name: '创建刷新令牌表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        family_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL,
+        replaced_by VARCHAR(36) NULL,
+        created_ip VARCHAR(45),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_family_id (family_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建已吊销访问令牌表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '用户表添加令牌失效时间字段',
+    sql: `
+      ALTER TABLE users ADD COLUMN tokens_valid_after TIMESTAMP NULL AFTER last_login_at;
+    `
+  },
+  {
+    name: '创建登录会话表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        client VARCHAR(30) NOT NULL DEFAULT 'unknown',
+        ip VARCHAR(45),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建密码重置令牌表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        request_ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '添加邮箱验证时间字段',
+    sql: 'ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL AFTER email'
+  },
+  {
+    // 未验证的邮箱不再参与唯一性约束，避免抢注他人邮箱
+    name: '移除邮箱唯一索引',
+    sql: 'ALTER TABLE users DROP INDEX email'
+  },
+  {
+    // 只有已验证的邮箱写入该生成列，由唯一索引保证已验证邮箱不重复
+    name: '添加已验证邮箱唯一约束',
+    sql: `
+      ALTER TABLE users
+        ADD COLUMN verified_email VARCHAR(100)
+          AS (IF(email_verified_at IS NULL, NULL, email)) STORED AFTER email_verified_at,
+        ADD UNIQUE INDEX uk_verified_email (verified_email)
+    `
+  },
+  {
+    name: '创建邮箱验证令牌表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '添加账号锁定字段',
+    sql: 'ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL AFTER tokens_valid_after'
+  },
+  {
+    name: '创建登录失败记录表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS login_failures (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NULL,
+        identifier VARCHAR(100) NOT NULL,
+        ip VARCHAR(45) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_ip_created (ip, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建两步验证表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id VARCHAR(36) PRIMARY KEY,
+        secret_encrypted VARCHAR(255) NOT NULL,
+        enabled_at TIMESTAMP NULL,
+        last_used_step BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建两步验证恢复码表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_code (user_id, code_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '添加游客账号字段',
+    sql: `
+      ALTER TABLE users
+        ADD COLUMN is_guest BOOLEAN NOT NULL DEFAULT FALSE AFTER is_active,
+        ADD INDEX idx_guest_created (is_guest, created_at)
+    `
+  },
+  {
+    name: '添加用户角色字段',
+    sql: "ALTER TABLE users ADD COLUMN role ENUM('player', 'moderator', 'admin') NOT NULL DEFAULT 'player' AFTER is_guest"
+  },
+  {
+    name: '创建API密钥表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        scopes JSON NOT NULL,
+        created_by VARCHAR(36) NULL,
+        expires_at TIMESTAMP NULL,
+        last_used_at TIMESTAMP NULL,
+        last_used_ip VARCHAR(45) NULL,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建用户名变更记录表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS username_history (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        old_username VARCHAR(50) NOT NULL,
+        new_username VARCHAR(50) NOT NULL,
+        reserved_until TIMESTAMP NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_changed (user_id, changed_at),
+        INDEX idx_old_username (old_username, reserved_until)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建审计事件表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NULL,
+        event_type VARCHAR(50) NOT NULL,
+        actor_type ENUM('user', 'api_key', 'system') NOT NULL,
+        actor_id VARCHAR(36) NULL,
+        ip VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        details JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_type_created (event_type, created_at),
+        INDEX idx_created (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '添加资料可见性字段',
+    sql: "ALTER TABLE users ADD COLUMN profile_visibility ENUM('public', 'private') NOT NULL DEFAULT 'public' AFTER avatar_frame"
+  },
+  {
+    name: '创建好友关系表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS friendships (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        requester_id VARCHAR(36) NOT NULL,
+        addressee_id VARCHAR(36) NOT NULL,
+        pair_key VARCHAR(73) NOT NULL,
+        status ENUM('pending', 'accepted') NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        responded_at TIMESTAMP NULL,
+        FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (addressee_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_pair (pair_key),
+        INDEX idx_requester_status (requester_id, status),
+        INDEX idx_addressee_status (addressee_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建玩家屏蔽表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        blocker_id VARCHAR(36) NOT NULL,
+        blocked_id VARCHAR(36) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_blocker_blocked (blocker_id, blocked_id),
+        INDEX idx_blocked_id (blocked_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建商店物品表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS shop_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        item_type ENUM('avatar', 'avatar_frame', 'decoration', 'theme') NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        price INT NOT NULL DEFAULT 0,
+        currency ENUM('coins') NOT NULL DEFAULT 'coins',
+        required_level INT NOT NULL DEFAULT 1,
+        available_from TIMESTAMP NULL,
+        available_until TIMESTAMP NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_item (item_type, item_id),
+        INDEX idx_active_type (is_active, item_type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建金币和经验流水表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS wallet_ledger (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        currency ENUM('coins', 'experience') NOT NULL,
+        delta INT NOT NULL,
+        balance_after INT NOT NULL,
+        source_type VARCHAR(30) NOT NULL,
+        source_id VARCHAR(100) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_currency (user_id, currency, id),
+        INDEX idx_source (source_type, source_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    // 启用流水之前的余额记为期初余额，已有流水的用户不会重复写入
+    name: '写入金币期初余额',
+    sql: `
+      INSERT INTO wallet_ledger (user_id, currency, delta, balance_after, source_type)
+      SELECT us.user_id, 'coins', us.coins, us.coins, 'opening_balance'
+      FROM user_stats us
+      WHERE us.coins <> 0
+        AND NOT EXISTS (SELECT 1 FROM wallet_ledger wl WHERE wl.user_id = us.user_id AND wl.currency = 'coins')
+    `
+  },
+  {
+    name: '写入经验期初余额',
+    sql: `
+      INSERT INTO wallet_ledger (user_id, currency, delta, balance_after, source_type)
+      SELECT us.user_id, 'experience', us.experience, us.experience, 'opening_balance'
+      FROM user_stats us
+      WHERE us.experience <> 0
+        AND NOT EXISTS (SELECT 1 FROM wallet_ledger wl WHERE wl.user_id = us.user_id AND wl.currency = 'experience')
+    `
+  },
+  {
+    name: '添加用户时区字段',
+    sql: 'ALTER TABLE users ADD COLUMN timezone VARCHAR(64) NULL AFTER profile_visibility'
+  },
+  {
+    name: '创建每日签到记录表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS daily_reward_claims (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        claim_date DATE NOT NULL,
+        streak INT NOT NULL,
+        coins INT NOT NULL DEFAULT 0,
+        experience INT NOT NULL DEFAULT 0,
+        timezone VARCHAR(64) NOT NULL,
+        claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uk_user_date (user_id, claim_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    name: '创建等级奖励表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS level_rewards (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        level INT NOT NULL,
+        coins INT NOT NULL DEFAULT 0,
+        item_type ENUM('avatar', 'avatar_frame', 'decoration', 'theme') NULL,
+        item_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_level (level)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    // 每局游戏开始时生成，作为该局的联机对战记录ID和完成奖励凭证的来源ID
+    name: '添加房间当前对局ID字段',
+    sql: 'ALTER TABLE multiplayer_rooms ADD COLUMN current_game_id VARCHAR(36) NULL AFTER status'
+  },
+  {
+    name: '创建奖励兑换记录表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS reward_redemptions (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id VARCHAR(36) NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        source_id VARCHAR(100) NOT NULL,
+        voucher_jti VARCHAR(36) NOT NULL,
+        coins INT NOT NULL DEFAULT 0,
+        experience INT NOT NULL DEFAULT 0,
+        redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uk_user_source (user_id, source, source_id),
+        UNIQUE KEY uk_voucher_jti (voucher_jti)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    // 不存在的账号按登录标识统计失败次数
+    name: '添加登录失败记录的登录标识索引',
+    sql: 'ALTER TABLE login_failures ADD INDEX idx_identifier_created (identifier, created_at)'
+  },
+  {
+    name: '创建登录标识锁定表',
+    sql: `
+      CREATE TABLE IF NOT EXISTS login_lockouts (
+        identifier VARCHAR(100) PRIMARY KEY,
+        locked_until TIMESTAMP NOT NULL,
+        INDEX idx_locked_until (locked_until)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `
+  },
+  {
+    // 已发放过升级奖励的最高等级，重置进度或调整经验曲线后不重复发放
+    name: '添加已发放升级奖励的最高等级字段',
+    sql: 'ALTER TABLE user_stats ADD COLUMN max_rewarded_level INT NOT NULL DEFAULT 1 AFTER level'
+  },
+  {
+    // 按当前等级和已有的 level_up 流水初始化，重复执行结果不变
+    name: '初始化已发放升级奖励的最高等级',
+    sql: `
+      UPDATE user_stats us
+      SET max_rewarded_level = GREATEST(
+        us.max_rewarded_level,
+        COALESCE(us.level, 1),
+        COALESCE((
+          SELECT MAX(CAST(wl.source_id AS UNSIGNED)) FROM wallet_ledger wl
+          WHERE wl.user_id = us.user_id AND wl.source_type = 'level_up'
+        ), 1)
+      )
+    `
   }
 ];
 
+// 重复执行 ALTER 类迁移时出现的这些错误表示变更已经应用过
+const ALREADY_APPLIED_ERRORS = ['ER_DUP_FIELDNAME', 'ER_DUP_KEYNAME', 'ER_CANT_DROP_FIELD_OR_KEY'];
+
 /**
  * 执行数据库迁移
  */
@@ -293,7 +714,16 @@ const runMigrations = async () => {
     
     for (const migration of migrations) {
       logger.info(`执行迁移: ${migration.name}`);
-      await query(migration.sql);
+      try {
+        // 直接使用连接池执行，避免已应用的迁移在SQL错误日志中留下记录
+        await getDB().query(migration.sql);
+      } catch (error) {
+        if (!ALREADY_APPLIED_ERRORS.includes(error.code)) {
+          throw error;
+        }
+        logger.info(`- ${migration.name} 已应用，跳过`);
+        continue;
+      }
       logger.info(`✓ ${migration.name} 完成`);
     }
     
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { rotateKeys } = require('../utils/jwtKeys');
+const { logger } = require('../utils/logger');
+
+/**
+ * 轮换JWT签名密钥
+ * 建议通过定时任务定期执行（如每周一次），并在轮换后重启或等待服务自动重新加载密钥
+ * 用法: npm run jwt:rotate
+ */
+const runRotation = () => {
+  try {
+    const retentionHours = parseInt(process.env.JWT_KEY_RETENTION_HOURS) || 24;
+    const result = rotateKeys({ retentionHours });
+    
+    logger.info(`JWT签名密钥轮换完成，当前密钥: ${result.activeKid}，下一个密钥: ${result.pendingKid}`);
+    
+    if (result.removedKids.length > 0) {
+      logger.info(`已删除过期的密钥: ${result.removedKids.join(', ')}`);
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    logger.error('JWT签名密钥轮换失败:', error);
+    process.exit(1);
+  }
+};
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  runRotation();
+}
+
+module.exports = { runRotation };
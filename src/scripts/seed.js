@@ -1,7 +1,8 @@
 require('dotenv').config();
-const { connectDB, query } = require('../config/database');
+const { connectDB, query, transaction } = require('../config/database');
 const { logger } = require('../utils/logger');
-const bcrypt = require('bcryptjs');
+const { hashPassword } = require('../utils/passwordHash');
+const { recordInitialBalance } = require('../utils/wallet');
 const { randomUUID } = require('crypto');
 const uuidv4 = randomUUID;
 
@@ -201,20 +202,126 @@ const systemConfigData = [
   {
     config_key: 'daily_reward_coins',
     config_value: '50',
-    description: '每日奖励金币数量'
+    description: '每日签到奖励金币数量（未配置奖励日历时使用）'
+  },
+  {
+    config_key: 'daily_reward_calendar',
+    config_value: JSON.stringify([
+      { coins: 50, experience: 10 },
+      { coins: 60, experience: 10 },
+      { coins: 70, experience: 15 },
+      { coins: 80, experience: 15 },
+      { coins: 100, experience: 20 },
+      { coins: 120, experience: 20 },
+      { coins: 200, experience: 50 }
+    ]),
+    description: '连续签到奖励日历（JSON，第N项为连续签到第N天的奖励，超过后循环）'
+  },
+  {
+    config_key: 'daily_reward_default_timezone',
+    config_value: 'Asia/Shanghai',
+    description: '用户未设置时区时计算签到日期使用的时区'
   },
   {
     config_key: 'level_up_coin_bonus',
     config_value: '100',
-    description: '升级时的金币奖励'
+    description: '每升一级奖励的金币（level_rewards 表中的奖励另外发放）'
+  },
+  {
+    config_key: 'level_curve',
+    config_value: JSON.stringify({ perLevel: 200, offset: -100, growth: 0 }),
+    description: '经验曲线（JSON），升到N级所需总经验 = perLevel * N + offset + growth * (N - 1) * (N - 2) / 2'
+  },
+  {
+    config_key: 'level_max',
+    config_value: '100',
+    description: '等级上限'
   },
   {
     config_key: 'max_recent_games',
     config_value: '10',
     description: '保存的最近游戏记录数量'
+  },
+  {
+    config_key: 'username_change_cost',
+    config_value: '500',
+    description: '修改用户名消耗的金币'
+  },
+  {
+    config_key: 'username_change_cooldown_days',
+    config_value: '30',
+    description: '两次修改用户名的最短间隔（天）'
+  },
+  {
+    config_key: 'username_reservation_days',
+    config_value: '90',
+    description: '修改用户名后旧用户名的保留期（天），期间其他用户不能使用'
+  },
+  {
+    config_key: 'multiplayer_finish_reward_coins',
+    config_value: '20',
+    description: '完成一局联机对战奖励的金币（通过奖励凭证领取）'
+  },
+  {
+    config_key: 'multiplayer_finish_reward_experience',
+    config_value: '10',
+    description: '完成一局联机对战奖励的经验'
+  },
+  {
+    config_key: 'friend_max_count',
+    config_value: '200',
+    description: '每个用户最多的好友数量'
+  },
+  {
+    config_key: 'friend_max_pending_requests',
+    config_value: '20',
+    description: '每个用户最多同时等待处理的已发出好友请求数量'
+  },
+  {
+    config_key: 'friend_max_incoming_requests',
+    config_value: '100',
+    description: '每个用户最多同时等待处理的收到的好友请求数量'
+  },
+  {
+    config_key: 'min_client_version_tauri',
+    config_value: '1.0.0',
+    description: '桌面客户端最低版本，低于此版本的客户端需要升级'
+  },
+  {
+    config_key: 'min_client_version_web',
+    config_value: '1.0.0',
+    description: '网页客户端最低版本，低于此版本的客户端需要刷新升级'
+  },
+  {
+    config_key: 'client_download_urls',
+    config_value: JSON.stringify({ tauri: 'https://sla.edev.uno/download', web: 'https://sla.edev.uno' }),
+    description: '各平台客户端的下载地址（JSON）'
+  },
+  {
+    config_key: 'client_release_notes',
+    config_value: '',
+    description: '最新版本的更新说明'
   }
 ];
 
+// 商店物品目录（新账号赠送的初始物品价格为0）
+const shopItemsData = [
+  { item_type: 'avatar', item_id: 'avatar_cat', name: '小猫头像', price: 0, required_level: 1 },
+  { item_type: 'avatar', item_id: 'avatar_dog', name: '小狗头像', price: 200, required_level: 1 },
+  { item_type: 'avatar', item_id: 'avatar_fox', name: '狐狸头像', price: 500, required_level: 5 },
+  { item_type: 'avatar_frame', item_id: 'decoration_frame', name: '基础头像框', price: 0, required_level: 1 },
+  { item_type: 'avatar_frame', item_id: 'frame_gold', name: '金色头像框', price: 1000, required_level: 10 },
+  { item_type: 'decoration', item_id: 'decoration_stars', name: '星星装饰', price: 300, required_level: 3 },
+  { item_type: 'theme', item_id: 'theme_dark', name: '暗色主题', price: 800, required_level: 1 }
+];
+
+// 等级奖励数据（每升一级的 level_up_coin_bonus 之外的额外奖励）
+const levelRewardsData = [
+  { level: 3, coins: 0, item_type: 'decoration', item_id: 'decoration_stars' },
+  { level: 5, coins: 200, item_type: null, item_id: null },
+  { level: 10, coins: 500, item_type: 'avatar_frame', item_id: 'frame_gold' }
+];
+
 /**
  * 创建测试用户
  */
@@ -236,19 +343,26 @@ const createTestUsers = async () => {
 
   for (const user of testUsers) {
     try {
-      const hashedPassword = await bcrypt.hash(user.password, 12);
+      const hashedPassword = await hashPassword(user.password);
       
-      // 插入用户
-      await query(
-        'INSERT IGNORE INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)',
-        [user.id, user.username, user.email, hashedPassword]
-      );
+      await transaction(async (connection) => {
+        // 插入用户
+        const [result] = await connection.execute(
+          'INSERT IGNORE INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)',
+          [user.id, user.username, user.email, hashedPassword]
+        );
 
-      // 插入用户统计数据
-      await query(
-        'INSERT IGNORE INTO user_stats (user_id) VALUES (?)',
-        [user.id]
-      );
+        if (result.affectedRows === 0) {
+          return;
+        }
+
+        // 插入用户统计数据和初始余额流水
+        await connection.execute(
+          'INSERT INTO user_stats (user_id) VALUES (?)',
+          [user.id]
+        );
+        await recordInitialBalance(connection, user.id);
+      });
 
       logger.info(`✓ 创建测试用户: ${user.username}`);
     } catch (error) {
@@ -303,6 +417,44 @@ const seedSystemConfig = async () => {
   }
 };
 
+/**
+ * 插入商店物品
+ */
+const seedShopItems = async () => {
+  for (const [index, item] of shopItemsData.entries()) {
+    try {
+      await query(
+        `INSERT IGNORE INTO shop_items (item_type, item_id, name, price, required_level, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [item.item_type, item.item_id, item.name, item.price, item.required_level, index]
+      );
+      logger.info(`✓ 插入商店物品: ${item.name}`);
+    } catch (error) {
+      logger.warn(`商店物品 ${item.name} 可能已存在，跳过插入`);
+    }
+  }
+};
+
+/**
+ * 插入等级奖励，已配置奖励的等级跳过
+ */
+const seedLevelRewards = async () => {
+  for (const reward of levelRewardsData) {
+    const result = await query(
+      `INSERT INTO level_rewards (level, coins, item_type, item_id)
+       SELECT ?, ?, ?, ? FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM level_rewards WHERE level = ?)`,
+      [reward.level, reward.coins, reward.item_type, reward.item_id, reward.level]
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`✓ 插入等级奖励: ${reward.level}级`);
+    } else {
+      logger.info(`- ${reward.level}级已配置奖励，跳过`);
+    }
+  }
+};
+
 /**
  * 执行种子数据
  */
@@ -321,6 +473,14 @@ const runSeed = async () => {
     logger.info('插入系统配置...');
     await seedSystemConfig();
     
+    // 插入商店物品
+    logger.info('插入商店物品...');
+    await seedShopItems();
+    
+    // 插入等级奖励
+    logger.info('插入等级奖励...');
+    await seedLevelRewards();
+    
     // 创建测试用户
     logger.info('创建测试用户...');
     await createTestUsers();
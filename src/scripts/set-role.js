@@ -0,0 +1,43 @@
+require('dotenv').config();
+const { connectDB, query } = require('../config/database');
+const { ROLE_LEVELS } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+/**
+ * 设置用户角色（用于创建第一个管理员账号）
+ * 用法: npm run set-role -- <用户名> <player|moderator|admin>
+ */
+const runSetRole = async (username, role) => {
+  try {
+    if (!username || !(role in ROLE_LEVELS)) {
+      logger.error(`用法: npm run set-role -- <用户名> <${Object.keys(ROLE_LEVELS).join('|')}>`);
+      process.exit(1);
+    }
+    
+    await connectDB();
+    
+    const result = await query(
+      'UPDATE users SET role = ? WHERE username = ? AND is_guest = FALSE',
+      [role, username]
+    );
+    
+    if (result.affectedRows === 0) {
+      logger.error(`用户不存在: ${username}`);
+      process.exit(1);
+    }
+    
+    logger.security('用户角色已修改', { username, role, operator: 'cli' });
+    logger.info(`已将用户 ${username} 的角色设置为 ${role}`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('设置用户角色失败:', error);
+    process.exit(1);
+  }
+};
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  runSetRole(process.argv[2], process.argv[3]);
+}
+
+module.exports = { runSetRole };
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { connectDB, query } = require('../config/database');
+const { unlockAccount } = require('../utils/loginProtection');
+const { logger } = require('../utils/logger');
+
+/**
+ * 解除账号的登录锁定
+ * 用法: npm run unlock-account -- <用户名>
+ */
+const runUnlock = async (username) => {
+  try {
+    if (!username) {
+      logger.error('请指定要解锁的用户名: npm run unlock-account -- <用户名>');
+      process.exit(1);
+    }
+    
+    await connectDB();
+    
+    const users = await query('SELECT id FROM users WHERE username = ?', [username]);
+    
+    if (users.length === 0) {
+      logger.error(`用户不存在: ${username}`);
+      process.exit(1);
+    }
+    
+    await unlockAccount(users[0].id, { username, operator: 'cli' });
+    
+    logger.info(`账号已解锁: ${username}`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('解锁账号失败:', error);
+    process.exit(1);
+  }
+};
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  runUnlock(process.argv[2]);
+}
+
+module.exports = { runUnlock };
@@ -0,0 +1,82 @@
+const { randomUUID } = require('crypto');
+const { query } = require('../config/database');
+const { recordInitialBalance } = require('./wallet');
+
+/**
+ * 账号创建与资料相关的公共逻辑
+ */
+
+// 新账号（包括游客账号）赠送的初始物品
+const STARTER_ITEMS = [
+  ['avatar', 'avatar_cat'],
+  ['avatar_frame', 'decoration_frame']
+];
+
+/**
+ * 在事务中创建账号：用户记录、统计数据和初始物品
+ * @param {object} connection 事务连接
+ * @param {object} account username/email/passwordHash/isGuest
+ * @returns {string} 新用户ID
+ */
+const createAccount = async (connection, { username, email = null, passwordHash, isGuest = false }) => {
+  const userId = randomUUID();
+
+  await connection.execute(
+    'INSERT INTO users (id, username, email, password_hash, is_guest) VALUES (?, ?, ?, ?, ?)',
+    [userId, username, email, passwordHash, isGuest]
+  );
+
+  await connection.execute(
+    'INSERT INTO user_stats (user_id) VALUES (?)',
+    [userId]
+  );
+
+  await recordInitialBalance(connection, userId);
+
+  for (const [itemType, itemId] of STARTER_ITEMS) {
+    await connection.execute(
+      'INSERT INTO user_owned_items (user_id, item_type, item_id) VALUES (?, ?, ?)',
+      [userId, itemType, itemId]
+    );
+  }
+
+  return userId;
+};
+
+/**
+ * 用户名变更后同步冗余保存了用户名的表
+ * @param {object} connection 事务连接
+ * @param {string} userId 用户ID
+ * @param {string} username 新用户名
+ */
+const propagateUsername = async (connection, userId, username) => {
+  await connection.execute('UPDATE leaderboard SET username = ? WHERE user_id = ?', [username, userId]);
+  await connection.execute('UPDATE room_players SET username = ? WHERE user_id = ?', [username, userId]);
+};
+
+/**
+ * 用户名是否被其他用户改名前使用过且仍在保留期内（用户可以改回自己的旧用户名）
+ * @param {string} username 用户名
+ * @param {string} userId 当前用户ID，注册时为null
+ * @param {object} connection 事务连接，在事务中检查时传入
+ */
+const isUsernameReserved = async (username, userId = null, connection = null) => {
+  const sql = `SELECT 1 FROM username_history
+     WHERE old_username = ? AND reserved_until > CURRENT_TIMESTAMP AND user_id <> ?
+     LIMIT 1`;
+  const params = [username, userId || ''];
+
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows.length > 0;
+  }
+
+  const rows = await query(sql, params);
+  return rows.length > 0;
+};
+
+module.exports = {
+  createAccount,
+  propagateUsername,
+  isUsernameReserved
+};
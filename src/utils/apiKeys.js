@@ -0,0 +1,124 @@
+const { randomUUID } = require('crypto');
+const { query } = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('./tokenUtils');
+const { logger } = require('./logger');
+
+/**
+ * API密钥管理
+ * 供运维脚本和其他服务调用接口（管理、排行榜、成就和联机对战接口），不关联玩家账号；
+ * 数据库中只保存密钥摘要，明文只在创建时返回一次
+ */
+
+// 可授予API密钥的权限范围，接口通过 allowApiKey(scope) 声明所需的范围
+const API_KEY_SCOPES = [
+  'users:read',
+  'users:write',
+  'audit:read',
+  'leaderboard:read',
+  'achievements:read',
+  'achievements:write',
+  'multiplayer:read'
+];
+
+const KEY_PREFIX = 'pmk_';
+
+// 最近使用时间的写入间隔，避免每个请求都更新数据库
+const LAST_USED_UPDATE_INTERVAL_SECONDS = 60;
+
+const parseScopes = (scopes) => (typeof scopes === 'string' ? JSON.parse(scopes) : scopes);
+
+/**
+ * 将数据库记录转换为接口返回的格式（不包含摘要）
+ */
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  scopes: parseScopes(row.scopes),
+  createdBy: row.created_by,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+/**
+ * 创建API密钥
+ * @param {object} options name/scopes/expiresAt/createdBy
+ * @returns {object} { apiKey, key }，key 为密钥明文
+ */
+const createApiKey = async ({ name, scopes, expiresAt = null, createdBy = null }) => {
+  const id = randomUUID();
+  const key = `${KEY_PREFIX}${generateOpaqueToken(32)}`;
+  const keyPrefix = key.substring(0, 12);
+
+  await query(
+    `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, name, keyPrefix, hashToken(key), JSON.stringify([...new Set(scopes)]), createdBy, expiresAt]
+  );
+
+  const rows = await query('SELECT * FROM api_keys WHERE id = ?', [id]);
+  return { apiKey: formatApiKey(rows[0]), key };
+};
+
+/**
+ * 获取所有API密钥
+ */
+const listApiKeys = async () => {
+  const rows = await query('SELECT * FROM api_keys ORDER BY created_at DESC');
+  return rows.map(formatApiKey);
+};
+
+/**
+ * 吊销API密钥
+ * @returns {boolean} 是否吊销了密钥
+ */
+const revokeApiKey = async (id) => {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [id]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * 根据密钥明文查找有效的API密钥，并记录最近使用时间
+ * @returns {object|null} 已吊销、已过期或不存在时返回null
+ */
+const findActiveApiKey = async (key, ip) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const rows = await query(
+    `SELECT * FROM api_keys
+     WHERE key_hash = ? AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [hashToken(key)]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+     WHERE id = ? AND (last_used_at IS NULL
+       OR last_used_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ${LAST_USED_UPDATE_INTERVAL_SECONDS} SECOND))`,
+    [ip, rows[0].id]
+  ).catch(error => {
+    logger.warn('更新API密钥使用时间失败:', { apiKeyId: rows[0].id, error: error.message });
+  });
+
+  return formatApiKey(rows[0]);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findActiveApiKey
+};
@@ -0,0 +1,143 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * 账号安全审计日志
+ * 记录到 audit_events 表，用户可以查看自己账号的事件，管理员可以按条件查询
+ */
+
+// 审计事件类型
+const AUDIT_EVENT_TYPES = [
+  'register',
+  'guest_created',
+  'account_upgraded',
+  'login_success',
+  'login_failure',
+  'account_locked',
+  'logout',
+  'password_changed',
+  'password_reset_requested',
+  'password_reset',
+  'email_verified',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'two_factor_failure',
+  'session_revoked',
+  'username_changed',
+  'item_purchased',
+  'progress_reset',
+  'role_changed',
+  'account_unlocked',
+  'rewards_granted',
+  'daily_reward_calendar_updated',
+  'api_key_created',
+  'api_key_revoked'
+];
+
+/**
+ * 将数据库记录转换为接口返回的格式
+ */
+const formatAuditEvent = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  type: row.event_type,
+  actorType: row.actor_type,
+  actorId: row.actor_id,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+  createdAt: row.created_at
+});
+
+/**
+ * 获取事件的操作者：API密钥、已登录用户，或者没有登录态时（注册、登录等）的账号本人
+ */
+const getActor = (req, userId) => {
+  if (req.apiKey) {
+    return { actorType: 'api_key', actorId: req.apiKey.id };
+  }
+
+  if (req.user) {
+    return { actorType: 'user', actorId: req.user.id };
+  }
+
+  return userId ? { actorType: 'user', actorId: userId } : { actorType: 'system', actorId: null };
+};
+
+/**
+ * 记录审计事件，写入失败只记录日志，不影响请求
+ * @param {object} req 请求对象
+ * @param {string} type 事件类型
+ * @param {object} options userId 事件所属账号（默认为当前用户）/details 附加信息
+ */
+const recordAuditEvent = async (req, type, { userId = req.user ? req.user.id : null, details = null } = {}) => {
+  const { actorType, actorId } = getActor(req, userId);
+
+  try {
+    await query(
+      `INSERT INTO audit_events (user_id, event_type, actor_type, actor_id, ip, user_agent, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        type,
+        actorType,
+        actorId,
+        req.ip || null,
+        (req.get('User-Agent') || '').substring(0, 255) || null,
+        details ? JSON.stringify(details) : null
+      ]
+    );
+  } catch (error) {
+    logger.error('写入审计日志失败:', { type, userId, error: error.message });
+  }
+};
+
+/**
+ * 查询审计事件
+ * @param {object} filters userId/type/from/to/page/limit
+ * @returns {object} { events, total }
+ */
+const queryAuditEvents = async ({ userId, type, from, to, page = 1, limit = 20 }) => {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+
+  if (type) {
+    conditions.push('event_type = ?');
+    params.push(type);
+  }
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const rows = await query(
+    `SELECT * FROM audit_events ${whereClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const [count] = await query(`SELECT COUNT(*) as count FROM audit_events ${whereClause}`, params);
+
+  return {
+    events: rows.map(formatAuditEvent),
+    total: Number(count.count)
+  };
+};
+
+module.exports = {
+  AUDIT_EVENT_TYPES,
+  recordAuditEvent,
+  queryAuditEvents
+};
@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+
+/**
+ * 玩家屏蔽
+ * 屏蔽对双方都生效：双方不能加入有对方在的联机房间、不能互相发送好友请求、看不到对方的公开资料；
+ * 对被屏蔽的一方表现为用户或房间不存在，不提示已被屏蔽
+ */
+
+/**
+ * 用户与其中任意一个用户之间是否存在屏蔽（任一方向）
+ * @param {string} userId 用户ID
+ * @param {string[]} otherUserIds 其他用户ID
+ */
+const hasBlockWithAny = async (userId, otherUserIds) => {
+  if (otherUserIds.length === 0) {
+    return false;
+  }
+
+  const placeholders = otherUserIds.map(() => '?').join(', ');
+  const rows = await query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = ? AND blocked_id IN (${placeholders}))
+        OR (blocked_id = ? AND blocker_id IN (${placeholders}))
+     LIMIT 1`,
+    [userId, ...otherUserIds, userId, ...otherUserIds]
+  );
+
+  return rows.length > 0;
+};
+
+/**
+ * 两个用户之间是否存在屏蔽（任一方向）
+ */
+const isBlockedBetween = (userId, otherUserId) => hasBlockWithAny(userId, [otherUserId]);
+
+module.exports = {
+  hasBlockWithAny,
+  isBlockedBetween
+};
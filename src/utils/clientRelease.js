@@ -0,0 +1,66 @@
+const { getConfigValue, getConfigJson } = require('./systemConfig');
+
+/**
+ * 客户端版本信息
+ * 最新版本为 system_config 中的 app_version，各平台的最低版本为 min_client_version_<平台>，
+ * 下载地址为 client_download_urls（JSON，平台到地址的映射），更新说明为 client_release_notes
+ */
+
+/**
+ * 解析版本号为数字数组，忽略预发布后缀（1.2.3-beta 视为 1.2.3）
+ * @returns {number[]|null} 格式无效时返回null
+ */
+const parseVersion = (version) => {
+  const match = String(version).trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:[-+].*)?$/);
+  return match ? match.slice(1).map(part => parseInt(part || '0')) : null;
+};
+
+/**
+ * 比较版本号
+ * @returns {number} a < b 返回负数，相等返回0，a > b 返回正数
+ */
+const compareVersions = (a, b) => {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+};
+
+/**
+ * 获取平台的版本信息
+ * @param {string} platform 客户端平台
+ * @returns {object} { latestVersion, minimumVersion, downloadUrl, releaseNotes }
+ */
+const getPlatformRelease = async (platform) => {
+  const downloadUrls = await getConfigJson('client_download_urls', {});
+
+  return {
+    latestVersion: await getConfigValue('app_version', null),
+    minimumVersion: await getConfigValue(`min_client_version_${platform}`, null),
+    downloadUrl: downloadUrls[platform] || null,
+    releaseNotes: await getConfigValue('client_release_notes', '')
+  };
+};
+
+/**
+ * 客户端版本是否低于最低版本
+ * @param {string} version 客户端上报的版本
+ * @param {string|null} minimumVersion 最低版本
+ */
+const isOutdated = (version, minimumVersion) => {
+  const current = parseVersion(version);
+  const minimum = minimumVersion && parseVersion(minimumVersion);
+
+  if (!current || !minimum) {
+    return false;
+  }
+
+  return compareVersions(current, minimum) < 0;
+};
+
+module.exports = {
+  getPlatformRelease,
+  isOutdated
+};
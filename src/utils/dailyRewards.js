@@ -0,0 +1,120 @@
+const { getConfigJson, getConfigNumber, getConfigValue } = require('./systemConfig');
+
+/**
+ * 每日签到奖励
+ * 按用户时区计算签到日期，连续签到的天数按奖励日历循环取对应的奖励；
+ * 奖励日历保存在 system_config 的 daily_reward_calendar 中，由管理员配置
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// 奖励日历最多的天数
+const MAX_CALENDAR_DAYS = 31;
+
+/**
+ * 检查是否为有效的IANA时区名称
+ * @param {string} timezone 时区，如 Asia/Shanghai
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 获取用户所在时区的日期
+ * @param {string} timezone 用户时区，为空时使用默认时区
+ * @param {Date} now 当前时间
+ * @returns {string} YYYY-MM-DD
+ */
+const getLocalDate = (timezone, now = new Date()) => {
+  // en-CA 的日期格式即为 YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+};
+
+/**
+ * 计算日期的前一天
+ * @param {string} date YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const getPreviousDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * 获取奖励日历，未配置时每天奖励 daily_reward_coins 金币
+ * @returns {object[]} 每天的 { coins, experience }
+ */
+const getRewardCalendar = async () => {
+  const calendar = await getConfigJson('daily_reward_calendar', null);
+
+  if (Array.isArray(calendar) && calendar.length > 0) {
+    return calendar.map(day => ({
+      coins: day.coins || 0,
+      experience: day.experience || 0
+    }));
+  }
+
+  return [{ coins: await getConfigNumber('daily_reward_coins', 50), experience: 0 }];
+};
+
+/**
+ * 获取连续签到第N天的奖励，超过日历长度后从第一天重新循环
+ * @param {object[]} calendar 奖励日历
+ * @param {number} streak 连续签到天数（从1开始）
+ */
+const getRewardForStreak = (calendar, streak) => ({
+  day: ((streak - 1) % calendar.length) + 1,
+  ...calendar[(streak - 1) % calendar.length]
+});
+
+/**
+ * 根据最近一次签到计算当前的签到状态
+ * @param {object|null} lastClaim 最近一次签到记录（claim_date 为 YYYY-MM-DD，streak 为当时的连续天数）
+ * @param {string} today 用户时区的今天
+ * @returns {object} claimedToday 今天是否已签到，streak 当前连续天数，nextStreak 下次签到后的连续天数
+ */
+const getClaimState = (lastClaim, today) => {
+  if (!lastClaim) {
+    return { claimedToday: false, streak: 0, nextStreak: 1 };
+  }
+
+  // 修改时区后本地日期可能早于上次签到日期，同样视为今天已签到
+  if (lastClaim.claim_date >= today) {
+    return { claimedToday: true, streak: lastClaim.streak, nextStreak: lastClaim.streak + 1 };
+  }
+
+  if (lastClaim.claim_date === getPreviousDate(today)) {
+    return { claimedToday: false, streak: lastClaim.streak, nextStreak: lastClaim.streak + 1 };
+  }
+
+  return { claimedToday: false, streak: 0, nextStreak: 1 };
+};
+
+/**
+ * 获取默认时区（用户未设置时区时使用）
+ */
+const getDefaultTimezone = async () => {
+  const timezone = await getConfigValue('daily_reward_default_timezone', DEFAULT_TIMEZONE);
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  isValidTimezone,
+  getLocalDate,
+  getPreviousDate,
+  getRewardCalendar,
+  getRewardForStreak,
+  getClaimState,
+  getDefaultTimezone
+};
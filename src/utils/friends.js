@@ -0,0 +1,57 @@
+const { query } = require('../config/database');
+
+/**
+ * 好友关系
+ * 每对用户在 friendships 表中最多一条记录（pair_key 唯一），
+ * pending 为等待对方处理的好友请求，accepted 为好友；拒绝、取消和删除好友直接删除记录
+ */
+
+// 最近活跃时间在该范围内的好友显示为在线（会话活跃时间每60秒更新一次）
+const ONLINE_WINDOW_SECONDS = 5 * 60;
+
+/**
+ * 两个用户的关系键，与请求方向无关
+ */
+const pairKey = (userId, otherUserId) => [userId, otherUserId].sort().join(':');
+
+/**
+ * 查询两个用户之间的好友记录
+ * @param {object} connection 可选的事务连接，传入时加行锁
+ * @returns {object|null} 好友记录
+ */
+const findFriendship = async (userId, otherUserId, connection = null) => {
+  const sql = 'SELECT * FROM friendships WHERE pair_key = ?';
+  const params = [pairKey(userId, otherUserId)];
+
+  if (connection) {
+    const [rows] = await connection.execute(`${sql} FOR UPDATE`, params);
+    return rows[0] || null;
+  }
+
+  const rows = await query(sql, params);
+  return rows[0] || null;
+};
+
+/**
+ * 两个用户是否为好友
+ */
+const areFriends = async (userId, otherUserId) => {
+  const friendship = await findFriendship(userId, otherUserId);
+  return Boolean(friendship && friendship.status === 'accepted');
+};
+
+/**
+ * 根据最近活跃时间计算在线状态
+ * @param {Date|null} lastSeenAt 最近活跃时间
+ */
+const getPresence = (lastSeenAt) => ({
+  isOnline: Boolean(lastSeenAt) && Date.now() - new Date(lastSeenAt).getTime() < ONLINE_WINDOW_SECONDS * 1000,
+  lastSeenAt: lastSeenAt || null
+});
+
+module.exports = {
+  pairKey,
+  findFriendship,
+  areFriends,
+  getPresence
+};
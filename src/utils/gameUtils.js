@@ -2,27 +2,40 @@
  * 游戏相关工具函数
  */
 
+/**
+ * 默认经验曲线，实际使用的曲线由 system_config 中的 level_curve 和 level_max 配置（见 utils/levels.js）
+ * perLevel/offset 为线性部分，growth 为每升一级所需经验的递增量，maxLevel 为等级上限
+ */
+const DEFAULT_LEVEL_CURVE = {
+  perLevel: 200,
+  offset: -100,
+  growth: 0,
+  maxLevel: 100
+};
+
 /**
  * 计算升到指定等级所需的经验值
- * 公式: exp(level) = 200 * level - 100
+ * 公式: exp(level) = perLevel * level + offset + growth * (level - 1) * (level - 2) / 2
  * @param {number} level 目标等级
+ * @param {object} curve 经验曲线
  * @returns {number} 升到该等级所需的总经验值
  */
-const getRequiredExpForLevel = (level) => {
+const getRequiredExpForLevel = (level, curve = DEFAULT_LEVEL_CURVE) => {
   if (level <= 1) return 0;
-  return 200 * level - 100;
+  return curve.perLevel * level + curve.offset + curve.growth * (level - 1) * (level - 2) / 2;
 };
 
 /**
  * 根据总经验值计算当前等级
  * @param {number} totalExp 总经验值
- * @returns {number} 当前等级
+ * @param {object} curve 经验曲线
+ * @returns {number} 当前等级（不超过等级上限）
  */
-const calculateLevelFromExp = (totalExp) => {
+const calculateLevelFromExp = (totalExp, curve = DEFAULT_LEVEL_CURVE) => {
   if (totalExp <= 0) return 1;
   
   let level = 1;
-  while (getRequiredExpForLevel(level + 1) <= totalExp) {
+  while (level < curve.maxLevel && getRequiredExpForLevel(level + 1, curve) <= totalExp) {
     level++;
   }
   return level;
@@ -32,11 +45,25 @@ const calculateLevelFromExp = (totalExp) => {
  * 计算当前等级范围内的经验值进度
  * @param {number} currentLevel 当前等级
  * @param {number} currentExp 当前总经验值
- * @returns {object} 当前等级的经验进度信息
+ * @param {object} curve 经验曲线
+ * @returns {object} 当前等级的经验进度信息，达到等级上限时 nextLevelExp 为null
  */
-const getLevelProgress = (currentLevel, currentExp) => {
-  const currentLevelExp = getRequiredExpForLevel(currentLevel);
-  const nextLevelExp = getRequiredExpForLevel(currentLevel + 1);
+const getLevelProgress = (currentLevel, currentExp, curve = DEFAULT_LEVEL_CURVE) => {
+  const currentLevelExp = getRequiredExpForLevel(currentLevel, curve);
+  
+  if (currentLevel >= curve.maxLevel) {
+    return {
+      currentLevelExp,
+      nextLevelExp: null,
+      expInCurrentLevel: currentExp - currentLevelExp,
+      expNeededForNextLevel: 0,
+      expToNext: 0,
+      progressPercentage: 100,
+      isMaxLevel: true
+    };
+  }
+  
+  const nextLevelExp = getRequiredExpForLevel(currentLevel + 1, curve);
   const expInCurrentLevel = currentExp - currentLevelExp;
   const expNeededForNextLevel = nextLevelExp - currentLevelExp;
   const progressPercentage = Math.min(100, (expInCurrentLevel / expNeededForNextLevel) * 100);
@@ -47,7 +74,8 @@ const getLevelProgress = (currentLevel, currentExp) => {
     expInCurrentLevel,
     expNeededForNextLevel,
     expToNext: nextLevelExp - currentExp,
-    progressPercentage
+    progressPercentage,
+    isMaxLevel: false
   };
 };
 
@@ -245,6 +273,7 @@ const validateGameData = (gameData) => {
 };
 
 module.exports = {
+  DEFAULT_LEVEL_CURVE,
   getRequiredExpForLevel,
   calculateLevelFromExp,
   getLevelProgress,
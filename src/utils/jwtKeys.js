@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+/**
+ * JWT签名密钥管理
+ * 使用非对称密钥（RS256/ES256）签名，令牌头部带有 kid；
+ * 密钥文件保存在 JWT_KEYS_DIR 目录中，由 keys.json 清单记录每个密钥的状态：
+ * pending - 已在JWKS中公布、下次轮换时启用
+ * active - 当前用于签名（只有一个）
+ * retired - 不再签名，保留到其签发的令牌全部过期后删除
+ */
+
+const KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '../../keys/jwt');
+const MANIFEST_FILE = path.join(KEYS_DIR, 'keys.json');
+const DEFAULT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+// 运行中的进程定期检查清单是否被轮换脚本修改
+const RELOAD_CHECK_INTERVAL_MS = 60 * 1000;
+
+const SUPPORTED_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+let store = null;
+
+/**
+ * 生成新的签名密钥并写入私钥文件
+ * @returns {object} 清单中的密钥记录
+ */
+const createKey = (algorithm = DEFAULT_ALGORITHM, status = 'pending') => {
+  const spec = SUPPORTED_ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new Error(`不支持的JWT签名算法: ${algorithm}（支持 ${Object.keys(SUPPORTED_ALGORITHMS).join(', ')}）`);
+  }
+
+  const kid = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+  const { privateKey } = crypto.generateKeyPairSync(spec.type, spec.options);
+
+  fs.writeFileSync(
+    path.join(KEYS_DIR, `${kid}.pem`),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+
+  return { kid, alg: algorithm, status, createdAt: new Date().toISOString() };
+};
+
+const readManifest = () => {
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+};
+
+const writeManifest = (manifest) => {
+  // 先写临时文件再重命名，避免运行中的进程读到不完整的清单
+  const tempFile = `${MANIFEST_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(manifest, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, MANIFEST_FILE);
+};
+
+/**
+ * 首次启动时创建密钥目录、一个启用的密钥和一个待启用的密钥
+ */
+const initializeKeys = () => {
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+
+  const manifest = {
+    keys: [createKey(DEFAULT_ALGORITHM, 'active'), createKey(DEFAULT_ALGORITHM, 'pending')]
+  };
+  writeManifest(manifest);
+
+  logger.info(`已生成JWT签名密钥: ${KEYS_DIR}`);
+  return manifest;
+};
+
+/**
+ * 从磁盘加载清单和密钥
+ */
+const loadStore = () => {
+  const manifest = fs.existsSync(MANIFEST_FILE) ? readManifest() : initializeKeys();
+
+  const keys = manifest.keys.map((key) => {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(KEYS_DIR, `${key.kid}.pem`)));
+    return {
+      ...key,
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey)
+    };
+  });
+
+  const activeKey = keys.find(key => key.status === 'active');
+  if (!activeKey) {
+    throw new Error('JWT密钥清单中没有启用的签名密钥');
+  }
+
+  return {
+    keys,
+    activeKey,
+    mtimeMs: fs.statSync(MANIFEST_FILE).mtimeMs,
+    checkedAt: Date.now()
+  };
+};
+
+/**
+ * 获取密钥库，清单文件变化后自动重新加载
+ */
+const getStore = () => {
+  if (!store) {
+    store = loadStore();
+  } else if (Date.now() - store.checkedAt > RELOAD_CHECK_INTERVAL_MS) {
+    store.checkedAt = Date.now();
+
+    try {
+      if (fs.statSync(MANIFEST_FILE).mtimeMs !== store.mtimeMs) {
+        store = loadStore();
+        logger.info(`JWT签名密钥已重新加载，当前密钥: ${store.activeKey.kid}`);
+      }
+    } catch (error) {
+      // 轮换过程中读取失败时继续使用已加载的密钥
+      logger.warn('重新加载JWT签名密钥失败:', { error: error.message });
+    }
+  }
+
+  return store;
+};
+
+/**
+ * 使用当前启用的密钥签名
+ * @param {object} payload 令牌内容
+ * @param {object} options jsonwebtoken 签名选项
+ */
+const signToken = (payload, options = {}) => {
+  const { activeKey } = getStore();
+
+  return jwt.sign(payload, activeKey.privateKey, {
+    ...options,
+    algorithm: activeKey.alg,
+    keyid: activeKey.kid
+  });
+};
+
+/**
+ * 根据令牌头部的 kid 选择公钥验证令牌
+ * 没有 kid 的令牌为切换到非对称签名之前使用 JWT_SECRET 签发的，
+ * 过渡期内继续接受，全部过期后应设置 JWT_ACCEPT_LEGACY_HS256=false 关闭
+ * @throws {JsonWebTokenError|TokenExpiredError} 与 jwt.verify 相同
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  if (!decoded.header.kid) {
+    if (!process.env.JWT_SECRET || process.env.JWT_ACCEPT_LEGACY_HS256 === 'false') {
+      throw new jwt.JsonWebTokenError('missing kid');
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const key = getStore().keys.find(item => item.kid === decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown kid');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+/**
+ * 公开的JWKS（包含待启用、启用中和已停用但未删除的密钥）
+ */
+const getJwks = () => {
+  return {
+    keys: getStore().keys.map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+};
+
+/**
+ * 轮换密钥：待启用的密钥转为启用，原启用的密钥停用，并生成新的待启用密钥；
+ * 停用超过保留时间的密钥被删除
+ * @param {object} options retentionHours 停用密钥的保留时间（需大于令牌的最长有效期）
+ * @returns {object} 轮换结果
+ */
+const rotateKeys = ({ retentionHours = 24, algorithm = DEFAULT_ALGORITHM } = {}) => {
+  const manifest = fs.existsSync(MANIFEST_FILE) ? readManifest() : initializeKeys();
+  const now = new Date();
+
+  let pending = manifest.keys.find(key => key.status === 'pending');
+  if (!pending) {
+    fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+    pending = createKey(algorithm);
+    manifest.keys.push(pending);
+  }
+
+  for (const key of manifest.keys) {
+    if (key.status === 'active') {
+      key.status = 'retired';
+      key.retiredAt = now.toISOString();
+    }
+  }
+  pending.status = 'active';
+  pending.activatedAt = now.toISOString();
+
+  const cutoff = now.getTime() - retentionHours * 60 * 60 * 1000;
+  const removed = manifest.keys.filter(key => key.status === 'retired' && new Date(key.retiredAt).getTime() < cutoff);
+
+  const nextPending = createKey(algorithm);
+  manifest.keys = manifest.keys.filter(key => !removed.includes(key)).concat(nextPending);
+  writeManifest(manifest);
+
+  for (const key of removed) {
+    fs.rmSync(path.join(KEYS_DIR, `${key.kid}.pem`), { force: true });
+  }
+
+  return {
+    activeKid: pending.kid,
+    pendingKid: nextPending.kid,
+    removedKids: removed.map(key => key.kid)
+  };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getJwks,
+  rotateKeys
+};
@@ -0,0 +1,91 @@
+const { getConfigJson, getConfigNumber } = require('./systemConfig');
+const { DEFAULT_LEVEL_CURVE } = require('./gameUtils');
+const { logger } = require('./logger');
+
+/**
+ * 等级曲线和升级奖励
+ * 经验曲线和等级上限来自 system_config（level_curve、level_max），
+ * 每升一级奖励 level_up_coin_bonus 金币，另外可在 level_rewards 表中为指定等级配置额外的金币和物品
+ */
+
+/**
+ * 读取经验曲线配置，缺失或无效的字段使用默认值
+ * @returns {object} { perLevel, offset, growth, maxLevel }
+ */
+const getLevelCurve = async () => {
+  const config = await getConfigJson('level_curve', {});
+  const maxLevel = await getConfigNumber('level_max', DEFAULT_LEVEL_CURVE.maxLevel);
+
+  const curve = {
+    perLevel: Number.isFinite(config.perLevel) && config.perLevel > 0 ? config.perLevel : DEFAULT_LEVEL_CURVE.perLevel,
+    offset: Number.isFinite(config.offset) ? config.offset : DEFAULT_LEVEL_CURVE.offset,
+    growth: Number.isFinite(config.growth) && config.growth >= 0 ? config.growth : DEFAULT_LEVEL_CURVE.growth,
+    maxLevel: maxLevel >= 1 ? Math.floor(maxLevel) : DEFAULT_LEVEL_CURVE.maxLevel
+  };
+
+  // 升到2级所需经验必须为正数，否则任何经验都会直接升级
+  if (curve.perLevel * 2 + curve.offset <= 0) {
+    logger.warn('系统配置 level_curve 升到2级所需经验不是正数，使用默认经验曲线');
+    return { ...DEFAULT_LEVEL_CURVE, maxLevel: curve.maxLevel };
+  }
+
+  return curve;
+};
+
+/**
+ * 查询升级获得的奖励
+ * @param {object} connection 事务连接
+ * @param {number} oldLevel 升级前的等级
+ * @param {number} newLevel 升级后的等级
+ * @returns {object[]} 每个新等级的 { level, coins, items: [{ itemType, itemId }] }
+ */
+const getLevelRewards = async (connection, oldLevel, newLevel) => {
+  if (newLevel <= oldLevel) {
+    return [];
+  }
+
+  const bonusCoins = await getConfigNumber('level_up_coin_bonus', 100);
+
+  const [rows] = await connection.execute(
+    'SELECT level, coins, item_type, item_id FROM level_rewards WHERE level > ? AND level <= ? ORDER BY level, id',
+    [oldLevel, newLevel]
+  );
+
+  const rewards = [];
+  for (let level = oldLevel + 1; level <= newLevel; level++) {
+    const levelRows = rows.filter(row => row.level === level);
+
+    rewards.push({
+      level,
+      coins: bonusCoins + levelRows.reduce((sum, row) => sum + row.coins, 0),
+      items: levelRows
+        .filter(row => row.item_type && row.item_id)
+        .map(row => ({ itemType: row.item_type, itemId: row.item_id }))
+    });
+  }
+
+  return rewards;
+};
+
+/**
+ * 将升级奖励中的物品加入用户的物品，已拥有的物品跳过
+ * @param {object} connection 事务连接
+ * @param {string} userId 用户ID
+ * @param {object[]} rewards getLevelRewards 的返回值
+ */
+const grantLevelRewardItems = async (connection, userId, rewards) => {
+  for (const reward of rewards) {
+    for (const item of reward.items) {
+      await connection.execute(
+        'INSERT IGNORE INTO user_owned_items (user_id, item_type, item_id) VALUES (?, ?, ?)',
+        [userId, item.itemType, item.itemId]
+      );
+    }
+  }
+};
+
+module.exports = {
+  getLevelCurve,
+  getLevelRewards,
+  grantLevelRewardItems
+};
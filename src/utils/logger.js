@@ -88,6 +88,15 @@ class Logger {
   debug(message, meta = {}) {
     this.log('debug', message, meta);
   }
+
+  /**
+   * 安全事件（账号锁定等），不受日志级别限制，单独写入 security.log
+   */
+  security(message, meta = {}) {
+    const formattedMessage = this.formatMessage('security', message, meta);
+    console.warn(formattedMessage);
+    this.writeToFile('security', formattedMessage);
+  }
 }
 
 const logger = new Logger();
@@ -0,0 +1,220 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * 登录防暴力破解
+ * 按账号和IP记录登录失败：
+ * 账号失败次数超过免等待次数后，每次尝试需等待逐次翻倍的时间；
+ * 账号失败次数达到锁定阈值后临时锁定账号；
+ * 同一IP失败次数过多时暂停该IP的登录。
+ * 不存在的账号按规范化后的登录标识计数和锁定，响应与存在的账号一致，避免通过登录接口探测用户名
+ */
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50;
+
+/**
+ * 规范化登录标识（用户名不区分大小写，邮箱已由验证中间件规范化）
+ * @param {string} identifier 登录时提交的用户名或邮箱
+ */
+const normalizeIdentifier = (identifier) => identifier.trim().toLowerCase().substring(0, 100);
+
+/**
+ * 失败计数的对象：存在的账号按用户ID，不存在的账号按登录标识
+ * @returns {object} { condition, params, lockQuery, lockParams }
+ */
+const getSubject = (userId, identifier) => {
+  if (userId) {
+    return {
+      condition: 'user_id = ?',
+      params: [userId],
+      lockQuery: 'SELECT UNIX_TIMESTAMP(locked_until) FROM users WHERE id = ? AND locked_until > CURRENT_TIMESTAMP',
+      lockParams: [userId]
+    };
+  }
+
+  const key = normalizeIdentifier(identifier || '');
+  return {
+    condition: 'user_id IS NULL AND identifier = ?',
+    params: [key],
+    lockQuery: 'SELECT UNIX_TIMESTAMP(locked_until) FROM login_lockouts WHERE identifier = ? AND locked_until > CURRENT_TIMESTAMP',
+    lockParams: [key]
+  };
+};
+
+/**
+ * 查询账号和IP在统计窗口内的失败情况（时间均以数据库时间为准）
+ */
+const getFailureStats = async (userId, identifier, ip) => {
+  const subject = getSubject(userId, identifier);
+
+  const [stats] = await query(
+    `SELECT
+      UNIX_TIMESTAMP(CURRENT_TIMESTAMP) as now_ts,
+      (${subject.lockQuery}) as locked_until_ts,
+      (SELECT COUNT(*) FROM login_failures
+        WHERE ${subject.condition} AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)) as account_failures,
+      (SELECT UNIX_TIMESTAMP(MAX(created_at)) FROM login_failures
+        WHERE ${subject.condition} AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)) as account_last_failure_ts,
+      (SELECT COUNT(*) FROM login_failures
+        WHERE ip = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)) as ip_failures,
+      (SELECT UNIX_TIMESTAMP(MIN(created_at)) FROM login_failures
+        WHERE ip = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)) as ip_first_failure_ts`,
+    [
+      ...subject.lockParams,
+      ...subject.params, WINDOW_MINUTES,
+      ...subject.params, WINDOW_MINUTES,
+      ip, WINDOW_MINUTES,
+      ip, WINDOW_MINUTES
+    ]
+  );
+
+  return {
+    now: Number(stats.now_ts),
+    lockedUntil: stats.locked_until_ts === null ? null : Number(stats.locked_until_ts),
+    accountFailures: Number(stats.account_failures),
+    accountLastFailure: stats.account_last_failure_ts === null ? null : Number(stats.account_last_failure_ts),
+    ipFailures: Number(stats.ip_failures),
+    ipFirstFailure: stats.ip_first_failure_ts === null ? null : Number(stats.ip_first_failure_ts)
+  };
+};
+
+/**
+ * 检查本次登录尝试是否允许
+ * @param {string|null} userId 尝试登录的账号（账号不存在时为null，按登录标识检查）
+ * @param {string} identifier 登录时提交的用户名或邮箱
+ * @param {string} ip 客户端IP
+ * @returns {object|null} 被拒绝时返回 { status, code, error, retryAfter }，允许时返回null
+ */
+const checkLoginAllowed = async (userId, identifier, ip) => {
+  const stats = await getFailureStats(userId, identifier, ip);
+
+  if (stats.lockedUntil) {
+    return {
+      status: 423,
+      code: 'ACCOUNT_LOCKED',
+      error: '登录失败次数过多，账号已被临时锁定',
+      retryAfter: Math.max(stats.lockedUntil - stats.now, 1)
+    };
+  }
+
+  if (stats.ipFailures >= IP_LOCKOUT_THRESHOLD) {
+    // 窗口内最早的一次失败过期后，失败次数回落到阈值以下
+    return {
+      status: 429,
+      code: 'TOO_MANY_LOGIN_ATTEMPTS',
+      error: '登录失败次数过多，请稍后再试',
+      retryAfter: Math.max(stats.ipFirstFailure + WINDOW_MINUTES * 60 - stats.now, 1)
+    };
+  }
+
+  if (stats.accountFailures >= FREE_ATTEMPTS) {
+    const delay = Math.min(2 ** (stats.accountFailures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    // 时间精确到秒，相等时实际间隔可能不足，仍需等待
+    const retryAfter = stats.accountLastFailure + delay - stats.now;
+
+    if (retryAfter >= 0) {
+      return {
+        status: 429,
+        code: 'LOGIN_THROTTLED',
+        error: '登录尝试过于频繁，请稍后再试',
+        retryAfter: Math.max(retryAfter, 1)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 记录一次登录失败，达到阈值时锁定账号
+ * @param {string|null} userId 账号ID（账号不存在时为null）
+ * @param {string} identifier 登录时提交的用户名或邮箱
+ * @param {string} ip 客户端IP
+ * @returns {object|null} 本次失败导致账号被锁定时返回锁定信息
+ */
+const recordLoginFailure = async (userId, identifier, ip) => {
+  await query(
+    'INSERT INTO login_failures (user_id, identifier, ip) VALUES (?, ?, ?)',
+    [userId, normalizeIdentifier(identifier), ip]
+  );
+
+  const stats = await getFailureStats(userId, identifier, ip);
+
+  if (stats.ipFailures === IP_LOCKOUT_THRESHOLD) {
+    logger.security('IP登录失败次数过多，暂停登录', { ip, failures: stats.ipFailures, windowMinutes: WINDOW_MINUTES });
+  }
+
+  if (stats.accountFailures < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const subject = getSubject(userId, identifier);
+
+  if (userId) {
+    await query(
+      'UPDATE users SET locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE) WHERE id = ?',
+      [LOCKOUT_MINUTES, userId]
+    );
+  } else {
+    await query(
+      `INSERT INTO login_lockouts (identifier, locked_until)
+       VALUES (?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))
+       ON DUPLICATE KEY UPDATE locked_until = VALUES(locked_until)`,
+      [...subject.params, LOCKOUT_MINUTES]
+    );
+  }
+
+  // 锁定期间的失败记录已无意义，解锁后重新计数
+  await query(`DELETE FROM login_failures WHERE ${subject.condition}`, subject.params);
+
+  logger.security('账号登录失败次数过多，已临时锁定', {
+    userId,
+    identifier,
+    ip,
+    failures: stats.accountFailures,
+    lockoutMinutes: LOCKOUT_MINUTES
+  });
+
+  return {
+    status: 423,
+    code: 'ACCOUNT_LOCKED',
+    error: '登录失败次数过多，账号已被临时锁定',
+    retryAfter: LOCKOUT_MINUTES * 60
+  };
+};
+
+/**
+ * 登录成功后清除账号的失败记录
+ */
+const clearLoginFailures = async (userId) => {
+  await query('DELETE FROM login_failures WHERE user_id = ?', [userId]);
+};
+
+/**
+ * 解除账号锁定
+ * @param {string} userId 账号ID
+ * @param {object} context 操作来源（记录到安全日志）
+ * @returns {boolean} 账号是否存在
+ */
+const unlockAccount = async (userId, context = {}) => {
+  const result = await query('UPDATE users SET locked_until = NULL WHERE id = ?', [userId]);
+  await clearLoginFailures(userId);
+
+  if (result.affectedRows > 0) {
+    logger.security('账号已解除锁定', { userId, ...context });
+  }
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+/**
+ * 邮件发送工具
+ * 通过 MAIL_TRANSPORT 选择发送方式：
+ * file - 写入 logs/mail 目录（本地开发默认）
+ * console - 输出到日志
+ * smtp - 通过 SMTP 服务器发送（生产环境）
+ * 其他发送方式可以通过 registerTransport 注册
+ */
+
+let smtpTransporter = null;
+
+/**
+ * 创建SMTP发送器（首次发送时创建）
+ * 需要认证时要求加密连接：服务器不支持 STARTTLS 时拒绝发送，避免账号密码明文传输，
+ * 只有设置 SMTP_ALLOW_INSECURE_AUTH=true 时才允许在未加密的连接上认证
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    const user = process.env.SMTP_USER;
+
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      requireTLS: !secure && Boolean(user) && process.env.SMTP_ALLOW_INSECURE_AUTH !== 'true',
+      ...(user && { auth: { user, pass: process.env.SMTP_PASSWORD } })
+    });
+  }
+
+  return smtpTransporter;
+};
+
+const mailDir = path.join(__dirname, '../../logs/mail');
+
+const transports = {
+  file: async (mail) => {
+    if (!fs.existsSync(mailDir)) {
+      fs.mkdirSync(mailDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.txt`;
+    const content = [
+      `From: ${mail.from}`,
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      `Date: ${new Date().toISOString()}`,
+      '',
+      mail.text
+    ].join('\n');
+
+    fs.writeFileSync(path.join(mailDir, fileName), content, 'utf8');
+    logger.info(`邮件已写入文件: ${fileName}`);
+  },
+
+  console: async (mail) => {
+    logger.info('发送邮件（控制台）', { to: mail.to, subject: mail.subject, text: mail.text });
+  },
+
+  smtp: async (mail) => {
+    await getSmtpTransporter().sendMail(mail);
+  }
+};
+
+/**
+ * 注册自定义的邮件发送方式
+ * @param {string} name 发送方式名称
+ * @param {function} transport 接收邮件对象的异步函数
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * 检查生产环境的邮件配置，服务启动时调用
+ * 生产环境必须通过SMTP发送，并配置邮件中链接指向的前端页面，否则重置密码和验证邮件无法送达
+ * @throws {Error} 配置缺失时拒绝启动
+ */
+const assertMailConfigured = () => {
+  if (process.env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'file';
+
+  if (transportName === 'file' || transportName === 'console') {
+    throw new Error(`生产环境不能使用 ${transportName} 方式发送邮件，请设置 MAIL_TRANSPORT=smtp`);
+  }
+
+  const required = ['MAIL_FROM', 'PASSWORD_RESET_URL', 'EMAIL_VERIFICATION_URL'];
+  if (transportName === 'smtp') {
+    required.push('SMTP_HOST');
+  }
+
+  const missing = required.filter(key => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`生产环境缺少邮件配置: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * 发送邮件
+ * @param {object} mail to/subject/text
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'file';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`未知的邮件发送方式: ${transportName}`);
+  }
+
+  const from = process.env.MAIL_FROM || 'Puzzle Master <no-reply@localhost>';
+  await transport({ from, to, subject, text });
+};
+
+module.exports = {
+  assertMailConfigured,
+  sendMail,
+  registerTransport
+};
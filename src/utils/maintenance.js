@@ -0,0 +1,99 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * 定期维护任务
+ * 清理已过期的吊销记录、刷新令牌和登录会话等数据
+ */
+
+const MAINTENANCE_INTERVAL_MS = parseInt(process.env.MAINTENANCE_INTERVAL_MS) || 60 * 60 * 1000;
+const GUEST_ACCOUNT_TTL_DAYS = parseInt(process.env.GUEST_ACCOUNT_TTL_DAYS) || 30;
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 180;
+
+const tasks = [
+  {
+    name: '清理过期的已吊销访问令牌',
+    run: () => query('DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP')
+  },
+  {
+    name: '清理过期的刷新令牌',
+    run: () => query('DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP')
+  },
+  {
+    name: '清理过期的密码重置令牌',
+    run: () => query('DELETE FROM password_reset_tokens WHERE expires_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)')
+  },
+  {
+    name: '清理过期的邮箱验证令牌',
+    run: () => query('DELETE FROM email_verification_tokens WHERE expires_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)')
+  },
+  {
+    name: '清理过期的登录失败记录',
+    run: () => query('DELETE FROM login_failures WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)')
+  },
+  {
+    name: '清理过期的登录标识锁定',
+    run: () => query('DELETE FROM login_lockouts WHERE locked_until < CURRENT_TIMESTAMP')
+  },
+  {
+    // 超过保留期且期间没有任何活跃会话的游客账号，相关数据随外键级联删除
+    name: '清理长期未使用的游客账号',
+    run: () => query(
+      `DELETE FROM users
+       WHERE is_guest = TRUE
+         AND created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+         AND NOT EXISTS (
+           SELECT 1 FROM user_sessions s
+           WHERE s.user_id = users.id AND s.last_seen_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+         )`,
+      [GUEST_ACCOUNT_TTL_DAYS, GUEST_ACCOUNT_TTL_DAYS]
+    )
+  },
+  {
+    name: '清理过期的审计日志',
+    run: () => query(
+      'DELETE FROM audit_events WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)',
+      [AUDIT_LOG_RETENTION_DAYS]
+    )
+  },
+  {
+    // 访问令牌有效期远短于一天，保留一天后删除不影响会话吊销检查
+    name: '清理已结束的登录会话',
+    run: () => query(
+      `DELETE FROM user_sessions
+       WHERE expires_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)
+          OR revoked_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)`
+    )
+  }
+];
+
+/**
+ * 依次执行所有维护任务，单个任务失败不影响其他任务
+ */
+const runMaintenanceTasks = async () => {
+  for (const task of tasks) {
+    try {
+      const result = await task.run();
+      if (result && result.affectedRows > 0) {
+        logger.info(`维护任务 ${task.name}: 处理${result.affectedRows}条记录`);
+      }
+    } catch (error) {
+      logger.error(`维护任务 ${task.name} 执行失败:`, { error: error.message });
+    }
+  }
+};
+
+/**
+ * 启动定期维护任务
+ */
+const startMaintenanceJobs = () => {
+  const timer = setInterval(runMaintenanceTasks, MAINTENANCE_INTERVAL_MS);
+  // 不阻止进程退出
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runMaintenanceTasks,
+  startMaintenanceJobs
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcryptjs');
+
+/**
+ * 密码哈希
+ * 哈希字符串自带算法和参数（bcrypt 为 $2b$<cost>$...，scrypt 为 $scrypt$ln=..,r=..,p=..$<salt>$<hash>），
+ * 配置变化后旧哈希仍可验证，登录成功时通过 needsRehash 判断是否需要按新配置重新计算
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SUPPORTED_ALGORITHMS = ['bcrypt', 'scrypt'];
+
+/**
+ * 当前的哈希配置
+ */
+const getHashConfig = () => {
+  const algorithm = process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt';
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`不支持的密码哈希算法: ${algorithm}（支持 ${SUPPORTED_ALGORITHMS.join(', ')}）`);
+  }
+
+  return {
+    algorithm,
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    scryptLogN: parseInt(process.env.SCRYPT_LOG_N) || 15,
+    scryptBlockSize: 8,
+    scryptParallelization: 1
+  };
+};
+
+const scryptOptions = (logN, blockSize, parallelization) => ({
+  N: 2 ** logN,
+  r: blockSize,
+  p: parallelization,
+  // 默认内存上限不足以计算 ln=15 以上的参数
+  maxmem: 256 * 2 ** logN * blockSize
+});
+
+/**
+ * 解析哈希字符串中的算法和参数
+ * @returns {object|null} 无法识别的格式（如游客账号的空哈希）返回null
+ */
+const parseHash = (hash) => {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+
+  const bcryptMatch = hash.match(/^\$2[aby]\$(\d{2})\$/);
+  if (bcryptMatch) {
+    return { algorithm: 'bcrypt', rounds: parseInt(bcryptMatch[1]) };
+  }
+
+  const scryptMatch = hash.match(/^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/);
+  if (scryptMatch) {
+    return {
+      algorithm: 'scrypt',
+      logN: parseInt(scryptMatch[1]),
+      blockSize: parseInt(scryptMatch[2]),
+      parallelization: parseInt(scryptMatch[3]),
+      salt: Buffer.from(scryptMatch[4], 'base64'),
+      key: Buffer.from(scryptMatch[5], 'base64')
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 按当前配置计算密码哈希
+ */
+const hashPassword = async (password) => {
+  const config = getHashConfig();
+
+  if (config.algorithm === 'scrypt') {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, 64,
+      scryptOptions(config.scryptLogN, config.scryptBlockSize, config.scryptParallelization));
+
+    return `$scrypt$ln=${config.scryptLogN},r=${config.scryptBlockSize},p=${config.scryptParallelization}` +
+      `$${salt.toString('base64')}$${key.toString('base64')}`;
+  }
+
+  return bcrypt.hash(password, config.bcryptRounds);
+};
+
+// 用于账号不存在时的密码比较，与真实密码哈希的计算开销相同
+let dummyHash = null;
+
+/**
+ * 验证密码
+ * @param {string} password 密码明文
+ * @param {string|null} hash 保存的哈希，账号不存在时传null（仍会计算一次哈希，使响应时间一致）
+ * @returns {boolean} 密码是否正确
+ */
+const verifyPassword = async (password, hash) => {
+  if (hash === null) {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyHash);
+    return false;
+  }
+
+  const parsed = parseHash(hash);
+
+  if (!parsed) {
+    return false;
+  }
+
+  if (parsed.algorithm === 'scrypt') {
+    const key = await scrypt(password, parsed.salt, parsed.key.length,
+      scryptOptions(parsed.logN, parsed.blockSize, parsed.parallelization));
+    return crypto.timingSafeEqual(key, parsed.key);
+  }
+
+  return bcrypt.compare(password, hash);
+};
+
+/**
+ * 哈希的算法或参数与当前配置不一致时需要重新计算
+ */
+const needsRehash = (hash) => {
+  const parsed = parseHash(hash);
+  const config = getHashConfig();
+
+  if (!parsed || parsed.algorithm !== config.algorithm) {
+    return true;
+  }
+
+  if (parsed.algorithm === 'bcrypt') {
+    return parsed.rounds !== config.bcryptRounds;
+  }
+
+  return parsed.logN !== config.scryptLogN ||
+    parsed.blockSize !== config.scryptBlockSize ||
+    parsed.parallelization !== config.scryptParallelization;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const DEFAULT_COMMON_PASSWORDS = require('../config/commonPasswords');
+
+/**
+ * 密码策略
+ * 注册、修改密码和重置密码统一使用，通过环境变量配置：
+ * PASSWORD_MIN_LENGTH / PASSWORD_MAX_LENGTH - 长度范围
+ * PASSWORD_REQUIRED_CHAR_CLASSES - 必须包含的字符类别，逗号分隔（letter、lower、upper、digit、symbol）
+ * PASSWORD_BLOCK_COMMON - 是否拒绝常见弱密码（默认开启）
+ */
+
+const CHAR_CLASSES = {
+  letter: { pattern: /[a-zA-Z]/, label: '字母' },
+  lower: { pattern: /[a-z]/, label: '小写字母' },
+  upper: { pattern: /[A-Z]/, label: '大写字母' },
+  digit: { pattern: /[0-9]/, label: '数字' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, label: '符号' }
+};
+
+let commonPasswords = null;
+
+/**
+ * 加载常见弱密码列表（只加载一次），默认使用内置列表
+ * @throws {Error} PASSWORD_COMMON_LIST_FILE 指定的文件无法读取时抛出，不会静默关闭弱密码检查
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = process.env.PASSWORD_COMMON_LIST_FILE;
+    let list = DEFAULT_COMMON_PASSWORDS;
+
+    if (file) {
+      try {
+        list = fs.readFileSync(file, 'utf8').split('\n').filter(line => !line.trim().startsWith('#'));
+      } catch (error) {
+        throw new Error(`无法读取常见弱密码列表 ${file}: ${error.message}`);
+      }
+    }
+
+    commonPasswords = new Set(list.map(line => line.trim().toLowerCase()).filter(Boolean));
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * 当前的密码策略
+ */
+const getPasswordPolicy = () => {
+  const requiredClasses = (process.env.PASSWORD_REQUIRED_CHAR_CLASSES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  for (const name of requiredClasses) {
+    if (!CHAR_CLASSES[name]) {
+      throw new Error(`未知的密码字符类别: ${name}（支持 ${Object.keys(CHAR_CLASSES).join(', ')}）`);
+    }
+  }
+
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 6,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 100,
+    requiredClasses,
+    blockCommon: process.env.PASSWORD_BLOCK_COMMON !== 'false'
+  };
+};
+
+/**
+ * 检查密码是否符合策略
+ * @param {string} password 密码明文
+ * @returns {string|null} 不符合时返回原因，符合时返回null
+ */
+const checkPassword = (password) => {
+  const policy = getPasswordPolicy();
+
+  if (typeof password !== 'string' || password.length < policy.minLength || password.length > policy.maxLength) {
+    return `密码长度必须在${policy.minLength}-${policy.maxLength}个字符之间`;
+  }
+
+  const missing = policy.requiredClasses.filter(name => !CHAR_CLASSES[name].pattern.test(password));
+  if (missing.length > 0) {
+    return `密码必须包含${missing.map(name => CHAR_CLASSES[name].label).join('、')}`;
+  }
+
+  if (policy.blockCommon && getCommonPasswords().has(password.toLowerCase())) {
+    return '密码过于常见，请使用更复杂的密码';
+  }
+
+  return null;
+};
+
+module.exports = {
+  getCommonPasswords,
+  getPasswordPolicy,
+  checkPassword
+};
@@ -0,0 +1,103 @@
+const { query } = require('../config/database');
+const { ROLE_LEVELS } = require('../middleware/auth');
+
+/**
+ * 玩家公开资料
+ * 其他玩家只能看到头像、等级和游戏成绩等公开信息，不包含邮箱、金币和内部ID；
+ * 玩家可以把资料设为私密，此时只有本人和版主以上角色可以查看
+ */
+
+const PROFILE_VISIBILITIES = ['public', 'private'];
+
+/**
+ * 查看者是否可以查看该玩家的公开资料
+ * @param {object} owner 资料所属用户（包含 id、profile_visibility）
+ * @param {object|null} viewer 当前登录用户，未登录为null
+ */
+const canViewProfile = (owner, viewer) => {
+  if (owner.profile_visibility === 'public') {
+    return true;
+  }
+
+  if (!viewer) {
+    return false;
+  }
+
+  return viewer.id === owner.id || ROLE_LEVELS[viewer.role] >= ROLE_LEVELS.moderator;
+};
+
+/**
+ * 组装公开资料
+ * @param {object} owner 资料所属用户（users 与 user_stats 的查询结果）
+ */
+const buildPublicProfile = async (owner) => {
+  const achievements = await query(
+    `SELECT a.id, a.title, a.icon, a.category, a.rarity, ua.unlocked_at
+     FROM user_achievements ua
+     JOIN achievements a ON ua.achievement_id = a.id
+     WHERE ua.user_id = ? AND ua.is_unlocked = TRUE
+     ORDER BY ua.unlocked_at DESC`,
+    [owner.id]
+  );
+
+  // 每个难度取用时最短的一条记录，步数来自同一条记录
+  const bestTimes = await query(
+    `SELECT difficulty, best_time, best_moves
+     FROM (
+       SELECT difficulty, best_time, best_moves,
+              ROW_NUMBER() OVER (PARTITION BY difficulty ORDER BY best_time ASC, best_moves ASC) as row_num
+       FROM user_best_times
+       WHERE user_id = ?
+     ) ranked
+     WHERE row_num = 1`,
+    [owner.id]
+  );
+
+  const multiplayer = await query(
+    `SELECT COUNT(*) as games_played,
+            COUNT(CASE WHEN mgr.winner_user_id = rp.user_id THEN 1 END) as wins
+     FROM multiplayer_game_records mgr
+     JOIN room_players rp ON mgr.room_id = rp.room_id AND rp.user_id = ?
+     WHERE mgr.game_status = 'completed'`,
+    [owner.id]
+  );
+
+  const gamesPlayed = multiplayer[0]?.games_played || 0;
+  const wins = multiplayer[0]?.wins || 0;
+
+  return {
+    username: owner.username,
+    avatar: owner.avatar,
+    avatarFrame: owner.avatar_frame,
+    level: owner.level || 1,
+    gamesCompleted: owner.games_completed || 0,
+    achievements: achievements.map(achievement => ({
+      id: achievement.id,
+      title: achievement.title,
+      icon: achievement.icon,
+      category: achievement.category,
+      rarity: achievement.rarity,
+      unlockedAt: achievement.unlocked_at
+    })),
+    bestTimes: bestTimes.reduce((acc, record) => {
+      acc[record.difficulty] = {
+        time: record.best_time,
+        moves: record.best_moves
+      };
+      return acc;
+    }, {}),
+    multiplayer: {
+      gamesPlayed,
+      wins,
+      losses: gamesPlayed - wins,
+      winRate: gamesPlayed > 0 ? Number((wins / gamesPlayed).toFixed(4)) : 0
+    },
+    memberSince: owner.created_at
+  };
+};
+
+module.exports = {
+  PROFILE_VISIBILITIES,
+  canViewProfile,
+  buildPublicProfile
+};
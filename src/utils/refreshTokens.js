@@ -0,0 +1,117 @@
+const { randomUUID } = require('crypto');
+const { query, transaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { generateOpaqueToken, hashToken } = require('./tokenUtils');
+const { logger } = require('./logger');
+
+/**
+ * 刷新令牌管理
+ * 刷新令牌只在服务端保存摘要；每次使用都会轮换，
+ * 同一令牌族（一次登录会话产生的所有刷新令牌，族ID即会话ID）中旧令牌被重复使用时吊销整个令牌族
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * 签发新的刷新令牌
+ * @param {string} userId 用户ID
+ * @param {object} options familyId 令牌族ID（不传则新建），ip/userAgent 客户端信息
+ * @param {object} connection 可选的事务连接
+ * @returns {object} 原始令牌及其元数据
+ */
+const issueRefreshToken = async (userId, { familyId = randomUUID(), ip = null, userAgent = null } = {}, connection = null) => {
+  const id = randomUUID();
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const sql = `INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at, created_ip, user_agent)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`;
+  const params = [id, userId, familyId, hashToken(token), expiresAt, ip, userAgent ? userAgent.substring(0, 255) : null];
+
+  if (connection) {
+    await connection.execute(sql, params);
+  } else {
+    await query(sql, params);
+  }
+
+  return { id, token, familyId, expiresAt };
+};
+
+/**
+ * 轮换刷新令牌：旧令牌作废，同一令牌族内签发新令牌
+ * @param {string} token 客户端提交的刷新令牌
+ * @param {object} meta 客户端信息 ip/userAgent
+ * @returns {object} userId、role 及新的刷新令牌
+ */
+const rotateRefreshToken = async (token, meta = {}) => {
+  const outcome = await transaction(async (connection) => {
+    const [rows] = await connection.execute(
+      `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, rt.replaced_by, u.is_active, u.role
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      return { status: 'invalid' };
+    }
+
+    const current = rows[0];
+
+    if (current.revoked_at) {
+      if (!current.replaced_by) {
+        return { status: 'invalid' };
+      }
+
+      // 已被轮换的旧令牌再次出现，说明令牌可能已泄露，吊销整个令牌族及对应的登录会话
+      await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+        [current.family_id]
+      );
+      await connection.execute(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+        [current.family_id]
+      );
+      return { status: 'reused', userId: current.user_id, familyId: current.family_id };
+    }
+
+    if (new Date(current.expires_at) <= new Date() || !current.is_active) {
+      return { status: 'expired' };
+    }
+
+    const next = await issueRefreshToken(current.user_id, {
+      familyId: current.family_id,
+      ip: meta.ip,
+      userAgent: meta.userAgent
+    }, connection);
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ?',
+      [next.id, current.id]
+    );
+
+    return { status: 'rotated', userId: current.user_id, role: current.role, ...next };
+  });
+
+  if (outcome.status === 'reused') {
+    logger.warn(`检测到刷新令牌重复使用，已吊销令牌族: userId=${outcome.userId}, familyId=${outcome.familyId}, ip=${meta.ip}`);
+    throw new AppError('刷新令牌已失效，请重新登录', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (outcome.status === 'expired') {
+    throw new AppError('刷新令牌已过期，请重新登录', 401, 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  if (outcome.status === 'invalid') {
+    throw new AppError('无效的刷新令牌', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken
+};
@@ -0,0 +1,81 @@
+const { randomUUID } = require('crypto');
+const { signToken, verifyToken } = require('./jwtKeys');
+
+/**
+ * 奖励凭证
+ * 服务端在玩家获得奖励的事件（如完成联机对战）中签发凭证，客户端通过 POST /api/users/rewards 兑换；
+ * 凭证是带有奖励内容的短期签名令牌，兑换记录写入 reward_redemptions，
+ * 同一用户的同一个奖励来源（source + sourceId）只能兑换一次，重新签发的凭证也不能重复领取
+ */
+
+const VOUCHER_TYPE = 'reward_voucher';
+
+/**
+ * 签发奖励凭证
+ * @param {string} userId 获得奖励的用户ID
+ * @param {object} reward coins/experience 奖励数量，source/sourceId 获得奖励的事件（必须唯一标识该次事件）
+ * @returns {object} { voucher, coins, experience, expiresAt }
+ */
+const issueRewardVoucher = (userId, { coins = 0, experience = 0, source, sourceId }) => {
+  if (!source || sourceId === undefined || sourceId === null) {
+    throw new Error('奖励凭证必须指定来源和来源ID');
+  }
+
+  const voucher = signToken(
+    { userId, type: VOUCHER_TYPE, coins, experience, source, sourceId: String(sourceId) },
+    {
+      expiresIn: process.env.REWARD_VOUCHER_EXPIRES_IN || '10m',
+      jwtid: randomUUID()
+    }
+  );
+
+  const { exp } = verifyToken(voucher);
+
+  return {
+    voucher,
+    coins,
+    experience,
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+/**
+ * 校验奖励凭证的签名、类型、所属用户和有效期（是否已兑换在兑换时检查）
+ * @returns {object|null} 凭证内容，无效时返回null
+ */
+const verifyRewardVoucher = (voucher, userId) => {
+  let decoded;
+  try {
+    decoded = verifyToken(voucher);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== VOUCHER_TYPE || decoded.userId !== userId || !decoded.jti || !decoded.source || !decoded.sourceId) {
+    return null;
+  }
+
+  return decoded;
+};
+
+/**
+ * 在事务中记录凭证已兑换
+ * @param {object} connection 事务连接
+ * @param {object} decoded 凭证内容
+ * @returns {boolean} 是否为该奖励来源的首次兑换
+ */
+const markVoucherRedeemed = async (connection, decoded) => {
+  const [result] = await connection.execute(
+    `INSERT IGNORE INTO reward_redemptions (user_id, source, source_id, voucher_jti, coins, experience)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [decoded.userId, decoded.source, decoded.sourceId, decoded.jti, decoded.coins, decoded.experience]
+  );
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  issueRewardVoucher,
+  verifyRewardVoucher,
+  markVoucherRedeemed
+};
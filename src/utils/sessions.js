@@ -0,0 +1,141 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * 登录会话管理
+ * 每次登录对应一个设备会话，会话ID同时作为刷新令牌的令牌族ID，
+ * 访问令牌通过 sid 声明关联到会话，会话被吊销后下一次请求即失败
+ */
+
+// 最近活跃时间的写入间隔，避免每个请求都更新数据库
+const LAST_SEEN_UPDATE_INTERVAL_SECONDS = 60;
+
+/**
+ * 执行SQL，优先使用事务连接
+ */
+const execute = async (connection, sql, params) => {
+  if (connection) {
+    const [result] = await connection.execute(sql, params);
+    return result;
+  }
+  return query(sql, params);
+};
+
+/**
+ * 获取请求的客户端信息
+ * 客户端类型来自 X-Client-Platform 请求头（如 tauri、web）
+ */
+const getClientMeta = (req) => {
+  const platform = req.get('X-Client-Platform');
+
+  return {
+    client: platform && /^[a-zA-Z0-9_-]{1,30}$/.test(platform) ? platform.toLowerCase() : 'unknown',
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+};
+
+/**
+ * 创建登录会话
+ * @param {string} sessionId 会话ID（即刷新令牌族ID）
+ * @param {string} userId 用户ID
+ * @param {object} meta 客户端信息
+ * @param {Date} expiresAt 会话过期时间（与刷新令牌一致）
+ * @param {object} connection 可选的事务连接
+ */
+const createSession = async (sessionId, userId, meta, expiresAt, connection = null) => {
+  await execute(
+    connection,
+    `INSERT INTO user_sessions (id, user_id, client, ip, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [sessionId, userId, meta.client, meta.ip, meta.userAgent ? meta.userAgent.substring(0, 255) : null, expiresAt]
+  );
+};
+
+/**
+ * 刷新令牌轮换后延长会话
+ */
+const extendSession = async (sessionId, userId, meta, expiresAt) => {
+  await query(
+    `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip = ?, expires_at = ?
+     WHERE id = ? AND user_id = ?`,
+    [meta.ip, expiresAt, sessionId, userId]
+  );
+};
+
+/**
+ * 更新会话最近活跃时间（不等待结果，失败只记录日志）
+ */
+const touchSession = (sessionId, ip) => {
+  query(
+    `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip = ?
+     WHERE id = ? AND last_seen_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ${LAST_SEEN_UPDATE_INTERVAL_SECONDS} SECOND)`,
+    [ip, sessionId]
+  ).catch(error => {
+    logger.warn('更新会话活跃时间失败:', { sessionId, error: error.message });
+  });
+};
+
+/**
+ * 获取用户的有效会话列表
+ */
+const listSessions = async (userId) => {
+  return query(
+    `SELECT id, client, ip, user_agent, created_at, last_seen_at
+     FROM user_sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+};
+
+/**
+ * 吊销指定会话及其刷新令牌
+ * @returns {boolean} 是否吊销了会话
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * 吊销用户的所有会话，可保留当前会话
+ * @param {string} userId 用户ID
+ * @param {string|null} exceptSessionId 需要保留的会话ID
+ * @param {object} connection 可选的事务连接
+ * @returns {number} 吊销的会话数量
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null, connection = null) => {
+  const result = await execute(
+    connection,
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id <> ? AND revoked_at IS NULL',
+    [userId, exceptSessionId || '']
+  );
+
+  await execute(
+    connection,
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND family_id <> ? AND revoked_at IS NULL',
+    [userId, exceptSessionId || '']
+  );
+
+  return result.affectedRows;
+};
+
+module.exports = {
+  getClientMeta,
+  createSession,
+  extendSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,31 @@
+/**
+ * 商店物品目录
+ * 物品价格、上架时间和等级要求以 shop_items 表为准，客户端提交的价格不被信任
+ */
+
+const ITEM_TYPES = ['avatar', 'avatar_frame', 'decoration', 'theme'];
+
+// 当前处于上架时间内的物品（用于拼接到 WHERE 条件中，si 为 shop_items 的别名）
+const AVAILABLE_CONDITION = `si.is_active = TRUE
+  AND (si.available_from IS NULL OR si.available_from <= CURRENT_TIMESTAMP)
+  AND (si.available_until IS NULL OR si.available_until > CURRENT_TIMESTAMP)`;
+
+/**
+ * 将数据库记录转换为接口返回的格式
+ */
+const formatShopItem = (row) => ({
+  itemType: row.item_type,
+  itemId: row.item_id,
+  name: row.name,
+  price: row.price,
+  currency: row.currency,
+  requiredLevel: row.required_level,
+  availableFrom: row.available_from,
+  availableUntil: row.available_until
+});
+
+module.exports = {
+  ITEM_TYPES,
+  AVAILABLE_CONDITION,
+  formatShopItem
+};
@@ -0,0 +1,93 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * 读取 system_config 表中的配置
+ * 配置缺失（例如未执行种子数据）或格式错误时使用调用方提供的默认值；
+ * 每个请求都会用到的配置（如客户端最低版本）通过短时间缓存避免重复查询
+ */
+
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+/**
+ * 读取全部配置（带缓存）
+ * @returns {Map} 配置键到值的映射
+ */
+const loadConfig = async () => {
+  if (!cache || Date.now() - cache.loadedAt > CONFIG_CACHE_TTL_MS) {
+    const rows = await query('SELECT config_key, config_value FROM system_config');
+    cache = {
+      values: new Map(rows.map(row => [row.config_key, row.config_value])),
+      loadedAt: Date.now()
+    };
+  }
+
+  return cache.values;
+};
+
+/**
+ * 清除配置缓存，修改配置后立即生效
+ */
+const clearConfigCache = () => {
+  cache = null;
+};
+
+/**
+ * 读取字符串配置
+ * @param {string} key 配置键
+ * @param {string} defaultValue 默认值
+ */
+const getConfigValue = async (key, defaultValue = null) => {
+  const values = await loadConfig();
+  return values.has(key) ? values.get(key) : defaultValue;
+};
+
+/**
+ * 读取数字配置
+ * @param {string} key 配置键
+ * @param {number} defaultValue 默认值
+ */
+const getConfigNumber = async (key, defaultValue) => {
+  const value = await getConfigValue(key);
+
+  if (value === null) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    logger.warn(`系统配置 ${key} 不是有效的数字: ${value}，使用默认值 ${defaultValue}`);
+    return defaultValue;
+  }
+
+  return number;
+};
+
+/**
+ * 读取JSON配置
+ * @param {string} key 配置键
+ * @param {*} defaultValue 默认值
+ */
+const getConfigJson = async (key, defaultValue) => {
+  const value = await getConfigValue(key);
+
+  if (value === null) {
+    return defaultValue;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`系统配置 ${key} 不是有效的JSON，使用默认值`);
+    return defaultValue;
+  }
+};
+
+module.exports = {
+  getConfigValue,
+  getConfigNumber,
+  getConfigJson,
+  clearConfigCache
+};
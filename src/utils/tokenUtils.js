@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * 令牌相关工具函数
+ */
+
+/**
+ * 生成随机的不透明令牌
+ * @param {number} bytes 随机字节数
+ * @returns {string} base64url编码的令牌
+ */
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * 计算令牌的SHA-256摘要，数据库中只保存摘要
+ * @param {string} token 原始令牌
+ * @returns {string} 十六进制摘要
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP（RFC 6238）工具函数
+ * 基于 HMAC-SHA1、30秒步长、6位数字，兼容常见的身份验证器应用
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Base32编码（不带填充）
+ * @param {Buffer} buffer 原始字节
+ * @returns {string} Base32字符串
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32解码，忽略空格、填充和大小写
+ * @param {string} input Base32字符串
+ * @returns {Buffer} 原始字节
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的Base32字符');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成新的TOTP密钥
+ * @returns {string} Base32编码的160位密钥
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * 获取时间对应的步数
+ * @param {number} timestamp 毫秒时间戳
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TIME_STEP_SECONDS);
+};
+
+/**
+ * 计算指定步数的验证码
+ * @param {string} secret Base32密钥
+ * @param {number} step 时间步数
+ * @returns {string} 6位验证码
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * 校验验证码，允许前后各 window 个步长的时钟偏差
+ * @param {string} secret Base32密钥
+ * @param {string} code 用户输入的验证码
+ * @param {number} window 允许的步长偏差
+ * @returns {number|null} 匹配的时间步数，不匹配时返回null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 生成身份验证器应用可扫描的 otpauth:// 链接
+ * @param {string} secret Base32密钥
+ * @param {string} accountName 账号名称
+ * @param {string} issuer 发行方名称
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
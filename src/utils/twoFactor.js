@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+const { hashToken } = require('./tokenUtils');
+
+/**
+ * 两步验证（TOTP）管理
+ * TOTP密钥使用 AES-256-GCM 加密后保存；恢复码只保存摘要，每个只能使用一次
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Puzzle Master';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 检查是否配置了 TOTP_ENCRYPTION_KEY，服务启动时调用
+ * @throws {Error} 未配置时拒绝启动，避免使用可预测的密钥加密TOTP密钥
+ */
+const assertEncryptionKeyConfigured = () => {
+  if (!process.env.TOTP_ENCRYPTION_KEY) {
+    throw new Error('未配置 TOTP_ENCRYPTION_KEY，无法加密两步验证密钥');
+  }
+};
+
+/**
+ * 获取密钥加密用的密钥（TOTP_ENCRYPTION_KEY 的 SHA-256）
+ */
+const getEncryptionKey = () => {
+  assertEncryptionKeyConfigured();
+
+  return crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * 恢复码统一为小写、去掉分隔符后再计算摘要
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * 生成一组新的恢复码（格式 xxxxx-xxxxx）
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+};
+
+/**
+ * 获取用户的两步验证记录
+ * @returns {object|null} { enabled, secret, lastUsedStep }
+ */
+const getTwoFactor = async (userId) => {
+  const rows = await query(
+    'SELECT secret_encrypted, enabled_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    enabled: rows[0].enabled_at !== null,
+    secret: decryptSecret(rows[0].secret_encrypted),
+    lastUsedStep: rows[0].last_used_step === null ? null : Number(rows[0].last_used_step)
+  };
+};
+
+/**
+ * 用户是否已启用两步验证
+ */
+const isTwoFactorEnabled = async (userId) => {
+  const rows = await query(
+    'SELECT 1 FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * 开始绑定：生成新的待确认密钥（覆盖之前未确认的密钥）
+ * @returns {object} { secret, otpauthUrl }
+ */
+const startEnrollment = async (userId, accountName) => {
+  const secret = generateSecret();
+
+  await query(
+    `INSERT INTO user_two_factor (user_id, secret_encrypted) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), last_used_step = NULL`,
+    [userId, encryptSecret(secret)]
+  );
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, accountName, TOTP_ISSUER)
+  };
+};
+
+/**
+ * 记录已使用的时间步，同一验证码不能重复使用
+ * @returns {boolean} 是否记录成功（失败表示验证码已被使用过）
+ */
+const consumeStep = async (userId, step, connection = null) => {
+  const sql = `UPDATE user_two_factor SET last_used_step = ?
+               WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`;
+  const params = [step, userId, step];
+
+  if (connection) {
+    const [result] = await connection.execute(sql, params);
+    return result.affectedRows > 0;
+  }
+
+  const result = await query(sql, params);
+  return result.affectedRows > 0;
+};
+
+/**
+ * 确认绑定：校验验证码后启用两步验证并生成恢复码
+ * @returns {string[]|null} 恢复码明文（只在此时返回一次），验证码错误时返回null
+ */
+const confirmEnrollment = async (userId, code) => {
+  const twoFactor = await getTwoFactor(userId);
+  const step = twoFactor ? verifyCode(twoFactor.secret, code) : null;
+
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await transaction(async (connection) => {
+    await consumeStep(userId, step, connection);
+
+    await connection.execute(
+      'UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [userId]
+    );
+
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const recoveryCode of recoveryCodes) {
+      await connection.execute(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+      );
+    }
+  });
+
+  return recoveryCodes;
+};
+
+/**
+ * 校验第二步验证：TOTP验证码或恢复码
+ * @returns {string|null} 'totp' | 'recovery_code'，验证失败时返回null
+ */
+const verifySecondFactor = async (userId, code) => {
+  const twoFactor = await getTwoFactor(userId);
+
+  if (!twoFactor || !twoFactor.enabled) {
+    return null;
+  }
+
+  const step = verifyCode(twoFactor.secret, code);
+  if (step !== null) {
+    return (await consumeStep(userId, step)) ? 'totp' : null;
+  }
+
+  const result = await query(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.affectedRows > 0 ? 'recovery_code' : null;
+};
+
+/**
+ * 剩余可用的恢复码数量
+ */
+const countRecoveryCodes = async (userId) => {
+  const [row] = await query(
+    'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return Number(row.count);
+};
+
+/**
+ * 关闭两步验证，删除密钥和恢复码
+ */
+const disableTwoFactor = async (userId) => {
+  await transaction(async (connection) => {
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+  });
+};
+
+module.exports = {
+  assertEncryptionKeyConfigured,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  countRecoveryCodes,
+  disableTwoFactor
+};
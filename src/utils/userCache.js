@@ -0,0 +1,100 @@
+/**
+ * 认证用户缓存
+ * 缓存认证中间件查询的用户资料和统计数据（按用户ID），减少热点接口（如房间轮询）的数据库查询；
+ * 令牌吊销、会话状态和账号停用等安全检查不走缓存。
+ * 缓存只在当前进程内有效，修改资料、统计、金币、角色等数据后需调用 invalidateUser，
+ * 其他进程中的缓存最迟在 TTL 到期后更新
+ */
+
+// 设为0时关闭缓存
+const configuredTtl = parseInt(process.env.USER_CACHE_TTL_MS);
+const TTL_MS = Number.isNaN(configuredTtl) ? 30 * 1000 : configuredTtl;
+const MAX_ENTRIES = parseInt(process.env.USER_CACHE_MAX_ENTRIES) || 1000;
+
+// Map 保持插入顺序，命中时重新插入，第一个元素即最久未使用的条目
+const entries = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  evictions: 0,
+  invalidations: 0
+};
+
+/**
+ * 获取缓存的用户
+ * @returns {object|null} 未缓存或已过期时返回null
+ */
+const getCachedUser = (userId) => {
+  const entry = entries.get(userId);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) {
+      entries.delete(userId);
+    }
+    stats.misses++;
+    return null;
+  }
+
+  entries.delete(userId);
+  entries.set(userId, entry);
+  stats.hits++;
+  return entry.user;
+};
+
+/**
+ * 缓存用户，超出容量时淘汰最久未使用的条目
+ */
+const setCachedUser = (userId, user) => {
+  if (TTL_MS <= 0) {
+    return;
+  }
+
+  entries.delete(userId);
+  entries.set(userId, { user, expiresAt: Date.now() + TTL_MS });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+};
+
+/**
+ * 用户数据变化后清除其缓存
+ */
+const invalidateUser = (userId) => {
+  if (entries.delete(userId)) {
+    stats.invalidations++;
+  }
+};
+
+/**
+ * 清空缓存
+ */
+const clearUserCache = () => {
+  stats.invalidations += entries.size;
+  entries.clear();
+};
+
+/**
+ * 缓存统计，用于监控
+ */
+const getUserCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    ...stats,
+    size: entries.size,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: TTL_MS,
+    hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : 0
+  };
+};
+
+module.exports = {
+  getCachedUser,
+  setCachedUser,
+  invalidateUser,
+  clearUserCache,
+  getUserCacheStats
+};
@@ -0,0 +1,221 @@
+const { query } = require('../config/database');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const { calculateLevelFromExp } = require('./gameUtils');
+const { getLevelCurve, getLevelRewards, grantLevelRewardItems } = require('./levels');
+
+/**
+ * 金币和经验流水
+ * user_stats 中的金币和经验只能通过 applyWalletChange 修改，每次变化都在 wallet_ledger 中追加一条记录，
+ * 流水只追加不修改，同一用户各币种的 delta 之和应等于 user_stats 中的余额
+ */
+
+const WALLET_CURRENCIES = ['coins', 'experience'];
+
+// 流水来源类型，source_id 为对应的业务ID（如游戏记录ID、成就ID）
+const WALLET_SOURCE_TYPES = [
+  'opening_balance',
+  'account_created',
+  'game_completion',
+  'achievement',
+  'reward',
+  'daily_reward',
+  'level_up',
+  'admin_grant',
+  'purchase',
+  'username_change',
+  'progress_reset'
+];
+
+/**
+ * 在事务中修改金币和经验并写入流水，经验变化时同步重新计算等级，升级时一并发放升级奖励
+ * 增加经验时等级不会降低（经验曲线调整后也一样）；升级奖励只发放高于 max_rewarded_level 的等级，
+ * 重置进度或调整经验曲线后重新达到的等级不再发放
+ * @param {object} connection 事务连接
+ * @param {string} userId 用户ID
+ * @param {object} change coins/experience 变化量，sourceType/sourceId 来源，insufficientMessage 金币不足时的提示
+ * @returns {object} 变化前后的金币、经验和等级，以及 levelRewards 升级奖励
+ * @throws {AppError} 变化量不是整数（INVALID_AMOUNT）、金币不足（INSUFFICIENT_COINS）
+ */
+const applyWalletChange = async (connection, userId, {
+  coins = 0,
+  experience = 0,
+  sourceType,
+  sourceId = null,
+  insufficientMessage = '金币不足'
+}) => {
+  if (!WALLET_SOURCE_TYPES.includes(sourceType)) {
+    throw new Error(`未知的流水来源类型: ${sourceType}`);
+  }
+
+  // 请求体中的数字字符串直接相加会变成字符串拼接
+  coins = Number(coins);
+  experience = Number(experience);
+
+  if (!Number.isInteger(coins) || !Number.isInteger(experience)) {
+    throw new AppError('金币和经验的变化量必须是整数', 400, 'INVALID_AMOUNT');
+  }
+
+  // 锁定余额，保证并发修改时流水中的余额连续
+  const [rows] = await connection.execute(
+    'SELECT level, max_rewarded_level, experience, coins FROM user_stats WHERE user_id = ? FOR UPDATE',
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError('用户统计数据不存在');
+  }
+
+  const before = rows[0];
+  const newCoins = before.coins + coins;
+  const newExperience = Math.max(before.experience + experience, 0);
+  let newLevel = before.level;
+  if (experience !== 0) {
+    const calculatedLevel = calculateLevelFromExp(newExperience, await getLevelCurve());
+    newLevel = experience > 0 ? Math.max(before.level, calculatedLevel) : calculatedLevel;
+  }
+
+  if (newCoins < 0) {
+    throw new AppError(insufficientMessage, 400, 'INSUFFICIENT_COINS');
+  }
+
+  // 每个新等级的奖励金币单独记一条 level_up 流水
+  const maxRewardedLevel = Math.max(before.max_rewarded_level, before.level);
+  const levelRewards = await getLevelRewards(connection, maxRewardedLevel, newLevel);
+  const finalCoins = levelRewards.reduce((sum, reward) => sum + reward.coins, newCoins);
+
+  await connection.execute(
+    `UPDATE user_stats SET coins = ?, experience = ?, level = ?, max_rewarded_level = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = ?`,
+    [finalCoins, newExperience, newLevel, Math.max(maxRewardedLevel, newLevel), userId]
+  );
+
+  const entries = [
+    ['coins', newCoins - before.coins, newCoins, sourceType, sourceId],
+    ['experience', newExperience - before.experience, newExperience, sourceType, sourceId]
+  ];
+
+  let balance = newCoins;
+  for (const reward of levelRewards) {
+    balance += reward.coins;
+    entries.push(['coins', reward.coins, balance, 'level_up', reward.level]);
+  }
+
+  for (const [currency, delta, balanceAfter, entrySourceType, entrySourceId] of entries.filter(([, delta]) => delta !== 0)) {
+    await connection.execute(
+      `INSERT INTO wallet_ledger (user_id, currency, delta, balance_after, source_type, source_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, currency, delta, balanceAfter, entrySourceType, entrySourceId === null ? null : String(entrySourceId)]
+    );
+  }
+
+  await grantLevelRewardItems(connection, userId, levelRewards);
+
+  return {
+    oldCoins: before.coins,
+    coins: finalCoins,
+    oldExperience: before.experience,
+    experience: newExperience,
+    oldLevel: before.level,
+    level: newLevel,
+    levelRewards
+  };
+};
+
+/**
+ * 记录新账号的初始余额（user_stats 的默认值）
+ * @param {object} connection 事务连接
+ * @param {string} userId 用户ID
+ */
+const recordInitialBalance = async (connection, userId) => {
+  await connection.execute(
+    `INSERT INTO wallet_ledger (user_id, currency, delta, balance_after, source_type)
+     SELECT user_id, 'coins', coins, coins, 'account_created' FROM user_stats WHERE user_id = ? AND coins <> 0
+     UNION ALL
+     SELECT user_id, 'experience', experience, experience, 'account_created' FROM user_stats WHERE user_id = ? AND experience <> 0`,
+    [userId, userId]
+  );
+};
+
+/**
+ * 分页查询用户的流水
+ * @param {object} filters userId/currency/page/limit
+ * @returns {object} { entries, total }
+ */
+const queryWalletLedger = async ({ userId, currency, page = 1, limit = 20 }) => {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (currency) {
+    conditions.push('currency = ?');
+    params.push(currency);
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const rows = await query(
+    `SELECT * FROM wallet_ledger ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const [count] = await query(`SELECT COUNT(*) as count FROM wallet_ledger ${whereClause}`, params);
+
+  return {
+    entries: rows.map(row => ({
+      id: row.id,
+      currency: row.currency,
+      delta: row.delta,
+      balanceAfter: row.balance_after,
+      sourceType: row.source_type,
+      sourceId: row.source_id,
+      createdAt: row.created_at
+    })),
+    total: Number(count.count)
+  };
+};
+
+/**
+ * 核对流水与余额：找出流水合计与 user_stats 不一致的用户
+ * @param {object} options userId 只检查指定用户/limit 最多返回的不一致记录数
+ * @returns {object} { checkedUsers, mismatches }
+ */
+const findWalletMismatches = async ({ userId = null, limit = 100 } = {}) => {
+  const whereClause = userId ? 'WHERE us.user_id = ?' : '';
+  const params = userId ? [userId] : [];
+
+  const rows = await query(
+    `SELECT us.user_id, u.username, us.coins, us.experience,
+            COALESCE(SUM(CASE WHEN wl.currency = 'coins' THEN wl.delta END), 0) as ledger_coins,
+            COALESCE(SUM(CASE WHEN wl.currency = 'experience' THEN wl.delta END), 0) as ledger_experience
+     FROM user_stats us
+     JOIN users u ON u.id = us.user_id
+     LEFT JOIN wallet_ledger wl ON wl.user_id = us.user_id
+     ${whereClause}
+     GROUP BY us.user_id, u.username, us.coins, us.experience
+     HAVING ledger_coins <> us.coins OR ledger_experience <> us.experience
+     LIMIT ?`,
+    [...params, limit]
+  );
+
+  const [count] = await query(`SELECT COUNT(*) as count FROM user_stats us ${whereClause}`, params);
+
+  return {
+    checkedUsers: Number(count.count),
+    mismatches: rows.map(row => ({
+      userId: row.user_id,
+      username: row.username,
+      coins: row.coins,
+      ledgerCoins: Number(row.ledger_coins),
+      experience: row.experience,
+      ledgerExperience: Number(row.ledger_experience)
+    }))
+  };
+};
+
+module.exports = {
+  WALLET_CURRENCIES,
+  WALLET_SOURCE_TYPES,
+  applyWalletChange,
+  recordInitialBalance,
+  queryWalletLedger,
+  findWalletMismatches
+};
@@ -1,11 +1,14 @@
 /**
  * 联机对战API测试脚本
  * 用于快速测试联机对战API的基本功能
+ * 房间操作需要两个玩家账号；查询房间信息和排行榜使用 API_KEY 环境变量中的API密钥
+ * （需要 multiplayer:read、leaderboard:read 权限），未设置时使用玩家令牌
  */
 
 const axios = require('axios');
 
-const API_BASE_URL = 'http://localhost:3001/api';
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3001/api';
+const API_KEY = process.env.API_KEY || '';
 
 // 测试用户凭据
 const testUser1 = {
@@ -25,13 +28,15 @@ let roomCode = '';
 // 辅助函数
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const makeRequest = async (method, endpoint, data = null, token = null) => {
+const makeRequest = async (method, endpoint, data = null, token = null, apiKey = null) => {
   try {
     const headers = {
       'Content-Type': 'application/json'
     };
     
-    if (token) {
+    if (apiKey) {
+      headers['X-API-Key'] = apiKey;
+    } else if (token) {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
@@ -168,10 +173,10 @@ async function testJoinRoom() {
 async function testGetRoomInfo() {
   console.log('\n📋 测试获取房间信息...');
   
-  const result = await makeRequest('GET', `/multiplayer/rooms/${roomCode}`, null, user1Token);
+  const result = await makeRequest('GET', `/multiplayer/rooms/${roomCode}`, null, user1Token, API_KEY);
   
   if (result.success) {
-    console.log('✅ 获取房间信息成功');
+    console.log(`✅ 获取房间信息成功（${API_KEY ? 'API密钥' : '玩家令牌'}）`);
     console.log('   房间详情:', {
       name: result.data.room.roomName,
       code: result.data.room.roomCode,
@@ -306,6 +311,25 @@ async function testMultiplayerHistory() {
   }
 }
 
+async function testLeaderboard() {
+  console.log('\n🏆 测试排行榜...');
+
+  if (!API_KEY) {
+    console.log('ℹ️ 未设置 API_KEY，跳过');
+    return true;
+  }
+
+  const result = await makeRequest('GET', '/games/leaderboard?difficulty=medium&limit=5', null, null, API_KEY);
+
+  if (result.success) {
+    console.log('✅ 使用API密钥获取排行榜成功');
+    return true;
+  } else {
+    console.log('❌ 获取排行榜失败:', result.error);
+    return false;
+  }
+}
+
 // 主测试函数
 async function runTests() {
   console.log('🎮 开始联机对战API测试');
@@ -344,6 +368,10 @@ async function runTests() {
     const historyRetrieved = await testMultiplayerHistory();
     if (!historyRetrieved) return;
 
+    // 测试使用API密钥获取排行榜
+    const leaderboardRetrieved = await testLeaderboard();
+    if (!leaderboardRetrieved) return;
+
     console.log('\n🎉 所有测试通过！');
     console.log('✅ 联机对战功能基本可用');
 
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { registerUser, registerAdmin } = require('./helpers');
+
+describe('后台管理', () => {
+  test('普通玩家无法访问管理接口', async () => {
+    const player = await registerUser('plainplayer');
+
+    expect(player.user.role).toBe('player');
+
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('FORBIDDEN');
+  });
+
+  test('管理员可以修改其他用户的角色', async () => {
+    const admin = await registerAdmin('siteadmin');
+    const player = await registerUser('promotedplayer');
+
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${player.token}`)
+      .expect(403);
+
+    const response = await request(app)
+      .put(`/api/admin/users/${player.user.id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'moderator' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.role).toBe('moderator');
+
+    // 角色变化后缓存的用户资料立即失效
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${player.token}`)
+      .expect(200);
+
+    const ownRoleResponse = await request(app)
+      .put(`/api/admin/users/${admin.user.id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'player' });
+
+    expect(ownRoleResponse.status).toBe(400);
+    expect(ownRoleResponse.body.code).toBe('CANNOT_CHANGE_OWN_ROLE');
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { registerAdmin } = require('./helpers');
+
+describe('API密钥', () => {
+  test('API密钥只能访问授权范围内的管理接口，吊销后失效', async () => {
+    const admin = await registerAdmin('keyadmin');
+
+    const createResponse = await request(app)
+      .post('/api/admin/api-keys')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'ops script', scopes: ['users:read'] });
+
+    expect(createResponse.status).toBe(201);
+    const { key, apiKey } = createResponse.body.data;
+
+    const listResponse = await request(app)
+      .get('/api/admin/users')
+      .set('X-API-Key', key);
+
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.data.users.length).toBeGreaterThan(0);
+
+    const unlockResponse = await request(app)
+      .post(`/api/admin/users/${admin.user.id}/unlock`)
+      .set('X-API-Key', key);
+
+    expect(unlockResponse.status).toBe(403);
+    expect(unlockResponse.body.code).toBe('INSUFFICIENT_SCOPE');
+
+    await request(app)
+      .delete(`/api/admin/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    const revokedResponse = await request(app)
+      .get('/api/admin/users')
+      .set('X-API-Key', key);
+
+    expect(revokedResponse.status).toBe(401);
+    expect(revokedResponse.body.code).toBe('INVALID_API_KEY');
+  });
+
+  test('API密钥可以按授权范围读取排行榜和更新指定用户的成就', async () => {
+    const admin = await registerAdmin('scopeadmin');
+
+    const createResponse = await request(app)
+      .post('/api/admin/api-keys')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'game service', scopes: ['leaderboard:read', 'achievements:write'] });
+
+    expect(createResponse.status).toBe(201);
+    const { key } = createResponse.body.data;
+
+    await request(app)
+      .get('/api/games/leaderboard')
+      .set('X-API-Key', key)
+      .expect(200);
+
+    const missingUserResponse = await request(app)
+      .post('/api/achievements/unlock')
+      .set('X-API-Key', key)
+      .send({ achievementId: 'first_win' });
+
+    expect(missingUserResponse.status).toBe(400);
+    expect(missingUserResponse.body.code).toBe('USER_ID_REQUIRED');
+
+    const scopeResponse = await request(app)
+      .get('/api/admin/users')
+      .set('X-API-Key', key);
+
+    expect(scopeResponse.status).toBe(403);
+    expect(scopeResponse.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+});
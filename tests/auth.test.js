@@ -1,7 +1,27 @@
 const request = require('supertest');
 const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { registerTransport } = require('../src/utils/mailer');
+const { generateCode, getTimeStep } = require('../src/utils/totp');
+const { setConfig, removeConfig } = require('./helpers');
+
+// 捕获测试中发送的邮件
+const sentMails = [];
+registerTransport('test', async (mail) => {
+  sentMails.push(mail);
+});
+process.env.MAIL_TRANSPORT = 'test';
+
+/**
+ * 从邮件正文的链接中取出令牌
+ */
+const extractMailToken = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
 
 describe('认证相关API测试', () => {
+  beforeEach(() => {
+    sentMails.length = 0;
+  });
+
   describe('POST /api/auth/register', () => {
     test('成功注册新用户', async () => {
       const userData = {
@@ -18,6 +38,7 @@ describe('认证相关API测试', () => {
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
       expect(response.body.data.user.username).toBe(userData.username);
       expect(response.body.data.user.email).toBe(userData.email);
       expect(response.body.data.user.level).toBe(1);
@@ -124,6 +145,198 @@ describe('认证相关API测试', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.code).toBe('INVALID_CREDENTIALS');
     });
+
+    test('使用已验证的邮箱登录，邮箱不区分大小写', async () => {
+      const unverifiedResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'login@example.com', password: 'password123' });
+
+      expect(unverifiedResponse.status).toBe(401);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[0]) });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'Login@Example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.username).toBe('logintest');
+    });
+
+    test('连续失败后需要等待才能再次尝试', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'logintest', password: 'wrongpassword' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'logintest', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    test('不存在的用户名连续失败后同样需要等待，不暴露账号是否存在', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'NoSuchUser', password: 'wrongpassword' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nosuchuser', password: 'wrongpassword' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+    });
+
+    test('Gmail 邮箱登录时按注册时的规则规范化', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'gmailuser',
+          email: 'john.doe@gmail.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[sentMails.length - 1]) });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'John.Doe+games@gmail.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.username).toBe('gmailuser');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'refreshtest',
+          email: 'refresh@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      refreshToken = registerResponse.body.data.refreshToken;
+    });
+
+    test('使用刷新令牌换取新令牌并轮换', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    test('重复使用已轮换的刷新令牌时吊销整个令牌族', async () => {
+      const firstResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      const reuseResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(reuseResponse.status).toBe(401);
+      expect(reuseResponse.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // 同一令牌族中最新的刷新令牌也随之失效
+      const latestResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstResponse.body.data.refreshToken });
+
+      expect(latestResponse.status).toBe(401);
+      expect(latestResponse.body.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    test('无效刷新令牌被拒绝', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'invalid-refresh-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    test('公钥集合包含签发令牌使用的密钥', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'jwkstest',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const [header] = registerResponse.body.data.token.split('.');
+      const { kid } = JSON.parse(Buffer.from(header, 'base64url').toString());
+
+      const response = await request(app).get('/.well-known/jwks.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.keys.map(key => key.kid)).toContain(kid);
+      expect(response.body.keys[0].d).toBeUndefined();
+    });
+  });
+
+  describe('客户端版本检查', () => {
+    beforeEach(async () => {
+      await setConfig('min_client_version_web', '2.0.0');
+    });
+
+    afterEach(async () => {
+      await removeConfig('min_client_version_web');
+    });
+
+    test('低于最低版本的客户端被拒绝，但仍可获取更新信息', async () => {
+      const outdatedResponse = await request(app)
+        .post('/api/auth/guest')
+        .set('X-Client-Platform', 'web')
+        .set('X-Client-Version', '1.9.5');
+
+      expect(outdatedResponse.status).toBe(426);
+      expect(outdatedResponse.body.code).toBe('UPGRADE_REQUIRED');
+      expect(outdatedResponse.body.data.minimumVersion).toBe('2.0.0');
+
+      const manifestResponse = await request(app)
+        .get('/api/client/manifest')
+        .set('X-Client-Platform', 'web')
+        .set('X-Client-Version', '1.9.5');
+
+      expect(manifestResponse.status).toBe(200);
+      expect(manifestResponse.body.data.updateRequired).toBe(true);
+      expect(manifestResponse.headers.vary).toContain('X-Client-Platform');
+      expect(manifestResponse.headers.vary).toContain('X-Client-Version');
+
+      const currentResponse = await request(app)
+        .post('/api/auth/guest')
+        .set('X-Client-Platform', 'web')
+        .set('X-Client-Version', '2.0.0');
+
+      expect(currentResponse.status).toBe(201);
+    });
   });
 
   describe('GET /api/auth/profile', () => {
@@ -200,5 +413,591 @@ describe('认证相关API测试', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('登出成功');
     });
+
+    test('登出后原令牌被拒绝', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TOKEN_REVOKED');
+    });
+  });
+
+  describe('登录会话管理', () => {
+    let desktopToken;
+    let webToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'sessiontest',
+          email: 'session@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const desktopLogin = await request(app)
+        .post('/api/auth/login')
+        .set('X-Client-Platform', 'tauri')
+        .send({ username: 'sessiontest', password: 'password123' });
+
+      const webLogin = await request(app)
+        .post('/api/auth/login')
+        .set('X-Client-Platform', 'web')
+        .send({ username: 'sessiontest', password: 'password123' });
+
+      desktopToken = desktopLogin.body.data.token;
+      webToken = webLogin.body.data.token;
+    });
+
+    test('列出各设备的会话并标记当前会话', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktopToken}`);
+
+      expect(response.status).toBe(200);
+      const current = response.body.data.sessions.find(session => session.current);
+      expect(current.client).toBe('tauri');
+      expect(response.body.data.sessions.some(session => session.client === 'web')).toBe(true);
+    });
+
+    test('退出指定会话后该会话的令牌失效', async () => {
+      const listResponse = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktopToken}`);
+
+      const webSession = listResponse.body.data.sessions.find(session => session.client === 'web');
+
+      const deleteResponse = await request(app)
+        .delete(`/api/auth/sessions/${webSession.id}`)
+        .set('Authorization', `Bearer ${desktopToken}`);
+
+      expect(deleteResponse.status).toBe(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${webToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    test('退出其他所有会话后保留当前会话', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktopToken}`);
+
+      expect(response.status).toBe(200);
+
+      const desktopResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${desktopToken}`);
+
+      const webResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${webToken}`);
+
+      expect(desktopResponse.status).toBe(200);
+      expect(webResponse.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    let authToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'passwordtest',
+          email: 'password@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      authToken = registerResponse.body.data.token;
+    });
+
+    test('修改密码后旧令牌失效，新令牌可用', async () => {
+      // 令牌签发时间精确到秒，等待进入下一秒
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      const changeResponse = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+
+      expect(changeResponse.status).toBe(200);
+      expect(changeResponse.body.data.token).toBeDefined();
+
+      const oldTokenResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(oldTokenResponse.status).toBe(401);
+      expect(oldTokenResponse.body.code).toBe('TOKEN_REVOKED');
+
+      const newTokenResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${changeResponse.body.data.token}`);
+
+      expect(newTokenResponse.status).toBe(200);
+    });
+
+    test('新密码不符合密码策略时修改失败', async () => {
+      process.env.PASSWORD_BLOCK_COMMON = 'true';
+
+      try {
+        const response = await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ currentPassword: 'password123', newPassword: 'qwerty123' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      } finally {
+        process.env.PASSWORD_BLOCK_COMMON = 'false';
+      }
+    });
+  });
+
+  describe('密码哈希升级', () => {
+    const originalRounds = process.env.BCRYPT_ROUNDS;
+
+    afterEach(() => {
+      if (originalRounds === undefined) {
+        delete process.env.BCRYPT_ROUNDS;
+      } else {
+        process.env.BCRYPT_ROUNDS = originalRounds;
+      }
+    });
+
+    test('哈希参数变化后登录时自动重新计算密码哈希', async () => {
+      process.env.BCRYPT_ROUNDS = '4';
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'rehashtest',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+      const userId = registerResponse.body.data.user.id;
+
+      process.env.BCRYPT_ROUNDS = '5';
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'rehashtest', password: 'password123' });
+
+      expect(loginResponse.status).toBe(200);
+
+      const [user] = await query('SELECT password_hash FROM users WHERE id = ?', [userId]);
+      expect(user.password_hash).toMatch(/^\$2[aby]\$05\$/);
+    });
+  });
+
+  describe('邮箱验证', () => {
+    let authToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'verifytest',
+          email: 'verify@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      authToken = registerResponse.body.data.token;
+    });
+
+    test('注册后发送验证邮件，验证后资料中显示已验证', async () => {
+      expect(sentMails).toHaveLength(1);
+      expect(sentMails[0].to).toBe('verify@example.com');
+
+      const beforeResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(beforeResponse.body.data.user.emailVerified).toBe(false);
+
+      const verifyResponse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[0]) });
+
+      expect(verifyResponse.status).toBe(200);
+
+      const afterResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(afterResponse.body.data.user.emailVerified).toBe(true);
+    });
+
+    test('未验证的邮箱不影响其他用户注册，已验证的邮箱不能重复注册', async () => {
+      const unverifiedResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'verifytest2',
+          email: 'verify@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      expect(unverifiedResponse.status).toBe(201);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[0]) });
+
+      const verifiedResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'verifytest3',
+          email: 'verify@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      expect(verifiedResponse.status).toBe(409);
+      expect(verifiedResponse.body.code).toBe('USER_ALREADY_EXISTS');
+    });
+
+    test('重新发送后旧的验证令牌失效', async () => {
+      const resendResponse = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(resendResponse.status).toBe(200);
+      expect(sentMails).toHaveLength(2);
+
+      const oldTokenResponse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[0]) });
+
+      expect(oldTokenResponse.status).toBe(400);
+      expect(oldTokenResponse.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+  });
+
+  describe('密码重置', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'resettest',
+          email: 'reset@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      // 只有已验证的邮箱可以用于重置密码
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractMailToken(sentMails[0]) });
+
+      sentMails.length = 0;
+    });
+
+    test('未注册的邮箱返回相同响应且不发送邮件', async () => {
+      const knownResponse = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+
+      const unknownResponse = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(unknownResponse.status).toBe(200);
+      expect(unknownResponse.body).toEqual(knownResponse.body);
+      expect(sentMails).toHaveLength(1);
+      expect(sentMails[0].to).toBe('reset@example.com');
+    });
+
+    test('使用邮件中的令牌重置密码，令牌只能使用一次', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+
+      const resetData = {
+        token: extractMailToken(sentMails[0]),
+        newPassword: 'resetpassword456',
+        confirmPassword: 'resetpassword456'
+      };
+
+      const resetResponse = await request(app)
+        .post('/api/auth/reset-password')
+        .send(resetData);
+
+      expect(resetResponse.status).toBe(200);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'resettest', password: 'resetpassword456' });
+
+      expect(loginResponse.status).toBe(200);
+
+      const reuseResponse = await request(app)
+        .post('/api/auth/reset-password')
+        .send(resetData);
+
+      expect(reuseResponse.status).toBe(400);
+      expect(reuseResponse.body.code).toBe('INVALID_RESET_TOKEN');
+    });
+  });
+
+  describe('两步验证', () => {
+    let authToken;
+    let secret;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'totptest',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      authToken = registerResponse.body.data.token;
+
+      const enrollResponse = await request(app)
+        .post('/api/auth/2fa/enroll')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      secret = enrollResponse.body.data.secret;
+
+      const confirmResponse = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateCode(secret) });
+
+      expect(confirmResponse.status).toBe(200);
+      expect(confirmResponse.body.data.recoveryCodes).toHaveLength(10);
+    });
+
+    test('启用后登录需要第二步验证，挑战令牌不能访问接口', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'totptest', password: 'password123' });
+
+      expect(loginResponse.status).toBe(200);
+      expect(loginResponse.body.data.twoFactorRequired).toBe(true);
+      expect(loginResponse.body.data.token).toBeUndefined();
+
+      const { challengeToken } = loginResponse.body.data;
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${challengeToken}`);
+
+      expect(profileResponse.status).toBe(401);
+
+      // 绑定时已使用当前时间步的验证码，使用下一个时间步的验证码
+      const verifyResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateCode(secret, getTimeStep() + 1) });
+
+      expect(verifyResponse.status).toBe(200);
+      expect(verifyResponse.body.data.token).toBeDefined();
+      expect(verifyResponse.body.data.refreshToken).toBeDefined();
+
+      const reuseResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateCode(secret, getTimeStep() + 1) });
+
+      expect(reuseResponse.status).toBe(401);
+      expect(reuseResponse.body.code).toBe('INVALID_CHALLENGE_TOKEN');
+    });
+
+    test('错误的验证码被拒绝', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'totptest', password: 'password123' });
+
+      const { challengeToken } = loginResponse.body.data;
+
+      const verifyResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: '000000-x' });
+
+      expect(verifyResponse.status).toBe(401);
+      expect(verifyResponse.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+      expect(verifyResponse.body.data.challengeToken).toBeDefined();
+
+      // 验证码错误后原挑战令牌同样失效，需使用新的挑战令牌
+      const reuseResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateCode(secret, getTimeStep() + 1) });
+
+      expect(reuseResponse.status).toBe(401);
+      expect(reuseResponse.body.code).toBe('INVALID_CHALLENGE_TOKEN');
+
+      const retryResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: verifyResponse.body.data.challengeToken, code: generateCode(secret, getTimeStep() + 1) });
+
+      expect(retryResponse.status).toBe(200);
+    });
+  });
+
+  describe('游客账号', () => {
+    test('游客账号升级后保留数据并可使用新用户名登录', async () => {
+      const guestResponse = await request(app).post('/api/auth/guest');
+
+      expect(guestResponse.status).toBe(201);
+      expect(guestResponse.body.data.user.isGuest).toBe(true);
+      expect(guestResponse.body.data.user.coins).toBe(500);
+
+      const guestToken = guestResponse.body.data.token;
+
+      const changePasswordResponse = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ currentPassword: '', newPassword: 'password123' });
+
+      expect(changePasswordResponse.status).toBe(403);
+      expect(changePasswordResponse.body.code).toBe('GUEST_ACCOUNT');
+
+      const upgradeResponse = await request(app)
+        .post('/api/auth/upgrade')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({
+          username: 'upgradedguest',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      expect(upgradeResponse.status).toBe(200);
+      expect(upgradeResponse.body.data.user.id).toBe(guestResponse.body.data.user.id);
+      expect(upgradeResponse.body.data.user.isGuest).toBe(false);
+      expect(upgradeResponse.body.data.user.username).toBe('upgradedguest');
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'upgradedguest', password: 'password123' });
+
+      expect(loginResponse.status).toBe(200);
+      expect(loginResponse.body.data.user.id).toBe(guestResponse.body.data.user.id);
+    });
+
+    test('同一游客账号并发升级时只有一次成功', async () => {
+      const guestResponse = await request(app).post('/api/auth/guest');
+      const guestToken = guestResponse.body.data.token;
+      const guestId = guestResponse.body.data.user.id;
+
+      const upgrade = (username) => request(app)
+        .post('/api/auth/upgrade')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ username, password: 'password123', confirmPassword: 'password123' });
+
+      const responses = await Promise.all([upgrade('racingguest1'), upgrade('racingguest2')]);
+      const statuses = responses.map(response => response.status).sort();
+
+      expect(statuses[0]).toBe(200);
+      expect(statuses[1]).toBeGreaterThanOrEqual(400);
+
+      const events = await query(
+        'SELECT id FROM audit_events WHERE user_id = ? AND event_type = ?',
+        [guestId, 'account_upgraded']
+      );
+      expect(events).toHaveLength(1);
+    });
+
+    test('游客账号不能通过用户名登录', async () => {
+      const guestResponse = await request(app).post('/api/auth/guest');
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: guestResponse.body.data.user.username, password: 'password123' });
+
+      expect(loginResponse.status).toBe(401);
+      expect(loginResponse.body.code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('安全日志', () => {
+    test('登录失败和修改密码记录到账号的安全日志', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'audittest',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'audittest', password: 'wrongpassword' });
+
+      const changeResponse = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${registerResponse.body.data.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+
+      const logResponse = await request(app)
+        .get('/api/users/security-log')
+        .set('Authorization', `Bearer ${changeResponse.body.data.token}`);
+
+      expect(logResponse.status).toBe(200);
+      expect(logResponse.body.data.events.map(event => event.type)).toEqual([
+        'password_changed',
+        'login_failure',
+        'register'
+      ]);
+    });
+  });
+
+  describe('修改用户名', () => {
+    test('修改用户名后旧用户名被保留，冷却期内不能再次修改', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'oldname',
+          email: 'rename@example.com',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+      const authToken = registerResponse.body.data.token;
+
+      const renameResponse = await request(app)
+        .put('/api/users/username')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'newname' });
+
+      expect(renameResponse.status).toBe(200);
+      expect(renameResponse.body.data.previousUsername).toBe('oldname');
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(profileResponse.body.data.user.username).toBe('newname');
+
+      const secondRenameResponse = await request(app)
+        .put('/api/users/username')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'thirdname' });
+
+      expect(secondRenameResponse.status).toBe(429);
+      expect(secondRenameResponse.body.code).toBe('USERNAME_CHANGE_COOLDOWN');
+
+      const reservedResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'oldname',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      expect(reservedResponse.status).toBe(409);
+      expect(reservedResponse.body.code).toBe('USERNAME_RESERVED');
+    });
   });
 });
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { getClaimState, getPreviousDate } = require('../src/utils/dailyRewards');
+const { registerUser, registerAdmin, removeConfig } = require('./helpers');
+
+describe('每日签到', () => {
+  afterEach(async () => {
+    await removeConfig('daily_reward_calendar');
+  });
+
+  test('按奖励日历发放连续签到奖励，每天只能签到一次', async () => {
+    const admin = await registerAdmin('calendaradmin');
+
+    const calendarResponse = await request(app)
+      .put('/api/admin/daily-reward/calendar')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ calendar: [{ coins: 10 }, { coins: 20, experience: 5 }] });
+
+    expect(calendarResponse.status).toBe(200);
+
+    const player = await registerUser('dailyplayer');
+
+    const timezoneResponse = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${player.token}`)
+      .send({ timezone: 'Mars/Olympus_Mons' });
+
+    expect(timezoneResponse.status).toBe(400);
+
+    await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${player.token}`)
+      .send({ timezone: 'America/New_York' })
+      .expect(200);
+
+    const statusResponse = await request(app)
+      .get('/api/users/daily-reward')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(statusResponse.status).toBe(200);
+    expect(statusResponse.body.data).toMatchObject({
+      timezone: 'America/New_York',
+      claimedToday: false,
+      streak: 0,
+      nextReward: { day: 1, coins: 10, experience: 0 }
+    });
+
+    const claimResponse = await request(app)
+      .post('/api/users/daily-reward/claim')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(claimResponse.status).toBe(200);
+    expect(claimResponse.body.data.streak).toBe(1);
+    expect(claimResponse.body.data.coins).toBe(510);
+
+    const repeatResponse = await request(app)
+      .post('/api/users/daily-reward/claim')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(repeatResponse.status).toBe(409);
+    expect(repeatResponse.body.code).toBe('DAILY_REWARD_ALREADY_CLAIMED');
+
+    // 把签到记录改到前一天，模拟第二天继续签到
+    await query(
+      'UPDATE daily_reward_claims SET claim_date = DATE_SUB(claim_date, INTERVAL 1 DAY) WHERE user_id = ?',
+      [player.user.id]
+    );
+
+    const nextDayResponse = await request(app)
+      .post('/api/users/daily-reward/claim')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(nextDayResponse.status).toBe(200);
+    expect(nextDayResponse.body.data.streak).toBe(2);
+    expect(nextDayResponse.body.data.reward).toEqual({ day: 2, coins: 20, experience: 5 });
+    expect(nextDayResponse.body.data.coins).toBe(530);
+  });
+
+  test('奖励日历超过31天或奖励为负数时被拒绝', async () => {
+    const admin = await registerAdmin('badcalendaradmin');
+
+    const tooLongResponse = await request(app)
+      .put('/api/admin/daily-reward/calendar')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ calendar: Array.from({ length: 32 }, () => ({ coins: 10 })) });
+
+    expect(tooLongResponse.status).toBe(400);
+    expect(tooLongResponse.body.code).toBe('VALIDATION_ERROR');
+
+    const negativeResponse = await request(app)
+      .put('/api/admin/daily-reward/calendar')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ calendar: [{ coins: -10 }] });
+
+    expect(negativeResponse.status).toBe(400);
+    expect(negativeResponse.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('断签后连续天数从1重新开始', () => {
+    const lastClaim = { claim_date: '2024-02-28', streak: 5 };
+
+    expect(getPreviousDate('2024-03-01')).toBe('2024-02-29');
+    expect(getClaimState(lastClaim, '2024-02-29')).toEqual({ claimedToday: false, streak: 5, nextStreak: 6 });
+    expect(getClaimState(lastClaim, '2024-03-01')).toEqual({ claimedToday: false, streak: 0, nextStreak: 1 });
+    expect(getClaimState(lastClaim, '2024-02-28')).toEqual({ claimedToday: true, streak: 5, nextStreak: 6 });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { registerUser } = require('./helpers');
+
+describe('好友', () => {
+  test('发送、接受好友请求后双方出现在好友列表中', async () => {
+    const { token: aliceToken } = await registerUser('alicefriend');
+    const { token: bobToken } = await registerUser('bobfriend');
+
+    const sendResponse = await request(app)
+      .post('/api/friends/requests')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ username: 'bobfriend' });
+
+    expect(sendResponse.status).toBe(201);
+    expect(sendResponse.body.data.request.status).toBe('pending');
+
+    const duplicateResponse = await request(app)
+      .post('/api/friends/requests')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ username: 'bobfriend' });
+
+    expect(duplicateResponse.status).toBe(409);
+    expect(duplicateResponse.body.code).toBe('FRIEND_REQUEST_EXISTS');
+
+    const requestsResponse = await request(app)
+      .get('/api/friends/requests')
+      .set('Authorization', `Bearer ${bobToken}`);
+
+    expect(requestsResponse.body.data.incoming).toHaveLength(1);
+    expect(requestsResponse.body.data.incoming[0].username).toBe('alicefriend');
+
+    await request(app)
+      .post(`/api/friends/requests/${requestsResponse.body.data.incoming[0].id}/accept`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    const friendsResponse = await request(app)
+      .get('/api/friends')
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(friendsResponse.body.data.friends).toHaveLength(1);
+    expect(friendsResponse.body.data.friends[0].username).toBe('bobfriend');
+    expect(friendsResponse.body.data.friends[0].isOnline).toBe(true);
+    expect(friendsResponse.body.data.friends[0]).not.toHaveProperty('id');
+
+    await request(app)
+      .delete('/api/friends/alicefriend')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    const afterRemoveResponse = await request(app)
+      .get('/api/friends')
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(afterRemoveResponse.body.data.friends).toHaveLength(0);
+  });
+
+  test('屏蔽后解除好友关系，对方无法发送好友请求或查看资料', async () => {
+    const { token: aliceToken } = await registerUser('aliceblocker');
+    const { token: bobToken } = await registerUser('bobblocked');
+
+    await request(app)
+      .post('/api/friends/requests')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ username: 'aliceblocker' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/users/blocks')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ username: 'bobblocked' })
+      .expect(200);
+
+    const requestsResponse = await request(app)
+      .get('/api/friends/requests')
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(requestsResponse.body.data.incoming).toHaveLength(0);
+
+    const friendResponse = await request(app)
+      .post('/api/friends/requests')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ username: 'aliceblocker' });
+
+    expect(friendResponse.status).toBe(404);
+    expect(friendResponse.body.code).toBe('USER_NOT_FOUND');
+
+    await request(app)
+      .get('/api/users/aliceblocker/public')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(404);
+
+    const blocksResponse = await request(app)
+      .get('/api/users/blocks')
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(blocksResponse.body.data.blocks.map(block => block.username)).toEqual(['bobblocked']);
+
+    await request(app)
+      .delete('/api/users/blocks/bobblocked')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/aliceblocker/public')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+  });
+
+  test('不能添加自己为好友', async () => {
+    const { token } = await registerUser('lonelyplayer');
+
+    const response = await request(app)
+      .post('/api/friends/requests')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'lonelyplayer' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('CANNOT_FRIEND_SELF');
+  });
+});
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { clearConfigCache } = require('../src/utils/systemConfig');
+
+/**
+ * 测试公用的辅助函数
+ */
+
+/**
+ * 注册测试用户，默认邮箱为 用户名@example.com，密码为 password123
+ * @param {string} username 用户名
+ * @param {object} overrides 覆盖默认的注册字段
+ * @returns {object} 注册接口返回的 data（token、refreshToken、user）
+ */
+const registerUser = async (username, overrides = {}) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username,
+      email: `${username}@example.com`,
+      password: 'password123',
+      confirmPassword: 'password123',
+      ...overrides
+    });
+
+  if (response.status !== 201) {
+    throw new Error(`注册测试用户 ${username} 失败: ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.data;
+};
+
+/**
+ * 注册测试用户并设为管理员
+ */
+const registerAdmin = async (username) => {
+  const admin = await registerUser(username);
+  await query('UPDATE users SET role = ? WHERE id = ?', ['admin', admin.user.id]);
+  return admin;
+};
+
+/**
+ * 写入系统配置，并清除配置缓存使其立即生效
+ */
+const setConfig = async (key, value) => {
+  await query(
+    `INSERT INTO system_config (config_key, config_value) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)`,
+    [key, value]
+  );
+  clearConfigCache();
+};
+
+/**
+ * 删除测试写入的系统配置（测试数据库没有预置系统配置）
+ */
+const removeConfig = async (...keys) => {
+  for (const key of keys) {
+    await query('DELETE FROM system_config WHERE config_key = ?', [key]);
+  }
+  clearConfigCache();
+};
+
+module.exports = {
+  registerUser,
+  registerAdmin,
+  setConfig,
+  removeConfig
+};
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { registerUser, registerAdmin, setConfig, removeConfig } = require('./helpers');
+
+describe('等级', () => {
+  afterEach(async () => {
+    await removeConfig('level_max', 'level_curve');
+  });
+
+  test('升级时发放等级奖励，等级不超过配置的上限', async () => {
+    const admin = await registerAdmin('leveladmin');
+    const player = await registerUser('levelplayer');
+
+    await query(
+      "INSERT INTO level_rewards (level, coins, item_type, item_id) VALUES (2, 50, 'avatar', 'avatar_dog')"
+    );
+    await setConfig('level_max', '2');
+
+    const grantResponse = await request(app)
+      .post(`/api/admin/users/${player.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ experience: 10000, reason: '测试' });
+
+    expect(grantResponse.status).toBe(200);
+    expect(grantResponse.body.data).toMatchObject({
+      level: 2,
+      coins: 650,
+      levelRewards: [
+        { level: 2, coins: 150, items: [{ itemType: 'avatar', itemId: 'avatar_dog' }] }
+      ]
+    });
+
+    const itemsResponse = await request(app)
+      .get('/api/users/owned-items')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(JSON.stringify(itemsResponse.body.data)).toContain('avatar_dog');
+
+    const statsResponse = await request(app)
+      .get('/api/users/stats')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(statsResponse.body.data.levelProgress.isMaxLevel).toBe(true);
+
+    const historyResponse = await request(app)
+      .get('/api/users/wallet/history?currency=coins')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(historyResponse.body.data.entries[0]).toMatchObject({
+      delta: 150,
+      balanceAfter: 650,
+      sourceType: 'level_up',
+      sourceId: '2'
+    });
+  });
+
+  test('每个等级的升级奖励只发放一次，经验曲线调整后等级不降低', async () => {
+    const admin = await registerAdmin('rewardonceadmin');
+    const player = await registerUser('rewardonceplayer');
+
+    const grantExperience = (experience) => request(app)
+      .post(`/api/admin/users/${player.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ experience, reason: '测试' });
+
+    const firstResponse = await grantExperience(300);
+    expect(firstResponse.body.data.level).toBe(2);
+    expect(firstResponse.body.data.levelRewards).toHaveLength(1);
+
+    await request(app)
+      .post('/api/users/reset-progress')
+      .set('Authorization', `Bearer ${player.token}`)
+      .expect(200);
+
+    const regainResponse = await grantExperience(300);
+    expect(regainResponse.body.data.level).toBe(2);
+    expect(regainResponse.body.data.levelRewards).toEqual([]);
+
+    await setConfig('level_curve', JSON.stringify({ perLevel: 1000, offset: 0 }));
+
+    const curveResponse = await grantExperience(10);
+    expect(curveResponse.body.data.level).toBe(2);
+    expect(curveResponse.body.data.levelRewards).toEqual([]);
+  });
+});
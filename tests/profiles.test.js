@@ -0,0 +1,54 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { registerUser } = require('./helpers');
+
+describe('玩家公开资料', () => {
+  test('公开资料不包含邮箱和用户ID，设为私密后其他人无法查看', async () => {
+    const { token: authToken } = await registerUser('publicplayer');
+
+    const publicResponse = await request(app)
+      .get('/api/users/publicplayer/public');
+
+    expect(publicResponse.status).toBe(200);
+    expect(publicResponse.body.data.profile.username).toBe('publicplayer');
+    expect(publicResponse.body.data.profile.level).toBe(1);
+    expect(publicResponse.body.data.profile.multiplayer.gamesPlayed).toBe(0);
+    expect(publicResponse.body.data.profile).not.toHaveProperty('email');
+    expect(publicResponse.body.data.profile).not.toHaveProperty('id');
+
+    await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ profileVisibility: 'private' })
+      .expect(200);
+
+    const privateResponse = await request(app)
+      .get('/api/users/publicplayer/public');
+
+    expect(privateResponse.status).toBe(403);
+    expect(privateResponse.body.code).toBe('PROFILE_PRIVATE');
+
+    const ownResponse = await request(app)
+      .get('/api/users/publicplayer/public')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(ownResponse.status).toBe(200);
+  });
+
+  test('最佳成绩的步数与最短用时来自同一条记录', async () => {
+    const { user: { id: userId } } = await registerUser('besttimeplayer');
+
+    await query(
+      `INSERT INTO user_best_times (user_id, difficulty, piece_shape, grid_size, best_time, best_moves)
+       VALUES (?, 'medium', 'square', '4x4', 60, 80), (?, 'medium', 'triangle', '4x4', 90, 40)`,
+      [userId, userId]
+    );
+
+    const response = await request(app)
+      .get('/api/users/besttimeplayer/public');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.profile.bestTimes.medium).toEqual({ time: 60, moves: 80 });
+  });
+});
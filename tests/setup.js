@@ -1,9 +1,15 @@
+const path = require('path');
+const os = require('os');
 const { connectDB, closeDB, query } = require('../src/config/database');
 
 // 设置测试环境
 process.env.NODE_ENV = 'test';
 process.env.DB_NAME = 'sla_puzzle_test';
 process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), 'sla-puzzle-test-jwt-keys');
+process.env.TOTP_ENCRYPTION_KEY = 'test-totp-encryption-key';
+// 测试数据使用简单密码，常见弱密码检查在对应的测试中单独开启
+process.env.PASSWORD_BLOCK_COMMON = 'false';
 
 // 全局设置
 beforeAll(async () => {
@@ -19,6 +25,25 @@ beforeAll(async () => {
 afterEach(async () => {
   // 清理测试数据，但保留表结构
   const tables = [
+    'level_rewards',
+    'reward_redemptions',
+    'daily_reward_claims',
+    'wallet_ledger',
+    'shop_items',
+    'user_blocks',
+    'friendships',
+    'audit_events',
+    'username_history',
+    'api_keys',
+    'two_factor_recovery_codes',
+    'user_two_factor',
+    'login_lockouts',
+    'login_failures',
+    'email_verification_tokens',
+    'password_reset_tokens',
+    'user_sessions',
+    'revoked_tokens',
+    'refresh_tokens',
     'user_recent_games',
     'user_owned_items', 
     'user_achievements',
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { registerUser } = require('./helpers');
+
+describe('商店', () => {
+  test('购买物品按商店目录的价格扣除金币，忽略客户端提交的价格', async () => {
+    await query(
+      `INSERT INTO shop_items (item_type, item_id, name, price, required_level)
+       VALUES ('avatar', 'avatar_dog', '小狗头像', 200, 1), ('avatar', 'avatar_fox', '狐狸头像', 300, 5)`
+    );
+
+    const { token: authToken } = await registerUser('shopper');
+
+    const shopResponse = await request(app)
+      .get('/api/shop')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(shopResponse.status).toBe(200);
+    expect(shopResponse.body.data.items).toHaveLength(2);
+    expect(shopResponse.body.data.items.every(item => item.owned === false)).toBe(true);
+
+    const purchaseResponse = await request(app)
+      .post('/api/users/acquire-item')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ itemType: 'avatar', itemId: 'avatar_dog', cost: 0 });
+
+    expect(purchaseResponse.status).toBe(200);
+    expect(purchaseResponse.body.data.cost).toBe(200);
+
+    const statsResponse = await request(app)
+      .get('/api/users/stats')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(statsResponse.body.data.coins).toBe(300);
+
+    const historyResponse = await request(app)
+      .get('/api/users/wallet/history?currency=coins')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(historyResponse.status).toBe(200);
+    expect(historyResponse.body.data.entries[0]).toMatchObject({
+      delta: -200,
+      balanceAfter: 300,
+      sourceType: 'purchase',
+      sourceId: 'avatar:avatar_dog'
+    });
+    expect(historyResponse.body.data.entries[1].sourceType).toBe('account_created');
+
+    const repeatResponse = await request(app)
+      .post('/api/users/acquire-item')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ itemType: 'avatar', itemId: 'avatar_dog' });
+
+    expect(repeatResponse.status).toBe(409);
+    expect(repeatResponse.body.code).toBe('ITEM_ALREADY_OWNED');
+
+    const levelResponse = await request(app)
+      .post('/api/users/acquire-item')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ itemType: 'avatar', itemId: 'avatar_fox' });
+
+    expect(levelResponse.status).toBe(400);
+    expect(levelResponse.body.code).toBe('LEVEL_REQUIREMENT_NOT_MET');
+
+    const unknownResponse = await request(app)
+      .post('/api/users/acquire-item')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ itemType: 'theme', itemId: 'theme_unknown' });
+
+    expect(unknownResponse.status).toBe(404);
+    expect(unknownResponse.body.code).toBe('ITEM_NOT_FOUND');
+  });
+});
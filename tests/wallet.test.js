@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { query } = require('../src/config/database');
+const { issueRewardVoucher } = require('../src/utils/rewardVouchers');
+const { registerUser, registerAdmin } = require('./helpers');
+
+describe('奖励凭证', () => {
+  test('奖励只能通过服务端签发的凭证领取，每个凭证只能兑换一次', async () => {
+    const { token: authToken, user: { id: userId } } = await registerUser('voucheruser');
+
+    const forgedResponse = await request(app)
+      .post('/api/users/rewards')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ coins: 999999, experience: 999999 });
+
+    expect(forgedResponse.status).toBe(400);
+    expect(forgedResponse.body.code).toBe('VALIDATION_ERROR');
+
+    const { voucher } = issueRewardVoucher(userId, {
+      coins: 20,
+      experience: 10,
+      source: 'multiplayer_finish',
+      sourceId: 1
+    });
+
+    const redeemResponse = await request(app)
+      .post('/api/users/rewards')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voucher });
+
+    expect(redeemResponse.status).toBe(200);
+    expect(redeemResponse.body.data.coinsGained).toBe(20);
+    expect(redeemResponse.body.data.newCoins).toBe(520);
+
+    const replayResponse = await request(app)
+      .post('/api/users/rewards')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voucher });
+
+    expect(replayResponse.status).toBe(409);
+    expect(replayResponse.body.code).toBe('VOUCHER_ALREADY_REDEEMED');
+
+    // 同一奖励来源重新签发的凭证也不能再次领取
+    const reissued = issueRewardVoucher(userId, {
+      coins: 20,
+      experience: 10,
+      source: 'multiplayer_finish',
+      sourceId: 1
+    });
+
+    const reissuedResponse = await request(app)
+      .post('/api/users/rewards')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voucher: reissued.voucher });
+
+    expect(reissuedResponse.status).toBe(409);
+    expect(reissuedResponse.body.code).toBe('VOUCHER_ALREADY_REDEEMED');
+
+    const otherVoucher = issueRewardVoucher('another-user-id', { coins: 20, source: 'multiplayer_finish', sourceId: 2 });
+
+    const otherResponse = await request(app)
+      .post('/api/users/rewards')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voucher: otherVoucher.voucher });
+
+    expect(otherResponse.status).toBe(400);
+    expect(otherResponse.body.code).toBe('INVALID_VOUCHER');
+  });
+});
+
+describe('金币和经验流水', () => {
+  test('流水合计与用户余额一致', async () => {
+    const admin = await registerAdmin('ledgeradmin');
+
+    await request(app)
+      .post(`/api/admin/users/${admin.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coins: 150, experience: 80, reason: '测试' })
+      .expect(200);
+
+    const consistentResponse = await request(app)
+      .get('/api/admin/wallet/integrity')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(consistentResponse.status).toBe(200);
+    expect(consistentResponse.body.data.consistent).toBe(true);
+
+    // 绕过流水直接修改余额
+    await query('UPDATE user_stats SET coins = coins + 10 WHERE user_id = ?', [admin.user.id]);
+
+    const mismatchResponse = await request(app)
+      .get('/api/admin/wallet/integrity')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(mismatchResponse.body.data.consistent).toBe(false);
+    expect(mismatchResponse.body.data.mismatches[0]).toMatchObject({
+      username: 'ledgeradmin',
+      coins: 660,
+      ledgerCoins: 650
+    });
+  });
+
+  test('管理员发放奖励必须填写原因，发放记录写入流水', async () => {
+    const admin = await registerAdmin('grantadmin');
+    const player = await registerUser('grantplayer');
+
+    const noReasonResponse = await request(app)
+      .post(`/api/admin/users/${player.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coins: 100 });
+
+    expect(noReasonResponse.status).toBe(400);
+    expect(noReasonResponse.body.code).toBe('VALIDATION_ERROR');
+
+    const emptyResponse = await request(app)
+      .post(`/api/admin/users/${player.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coins: 0, experience: 0, reason: '活动补偿' });
+
+    expect(emptyResponse.status).toBe(400);
+    expect(emptyResponse.body.code).toBe('VALIDATION_ERROR');
+
+    // 数字字符串按整数处理，不会与余额拼接
+    const grantResponse = await request(app)
+      .post(`/api/admin/users/${player.user.id}/rewards`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coins: '100', reason: '活动补偿' });
+
+    expect(grantResponse.status).toBe(200);
+    expect(grantResponse.body.data.coins).toBe(600);
+
+    const historyResponse = await request(app)
+      .get('/api/users/wallet/history?currency=coins')
+      .set('Authorization', `Bearer ${player.token}`);
+
+    expect(historyResponse.body.data.entries[0]).toMatchObject({
+      delta: 100,
+      balanceAfter: 600,
+      sourceType: 'admin_grant',
+      sourceId: admin.user.id
+    });
+  });
+});